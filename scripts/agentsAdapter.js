@@ -0,0 +1,118 @@
+const path = require('path');
+const OutputAdapter = require('./outputAdapter');
+const MarkdownParser = require('./markdownParser');
+
+const AGGREGATED_RULE_STYLES = ['index', 'collapsed'];
+
+// Single instructions file per project type and path (AGENTS.md, CLAUDE.md), rendered
+// from the whole rule hierarchy inside a managed block. On-demand rules are linked from
+// an index (`.ai-rules/rules/**/*.md`) or inlined as collapsed sections.
+class AgentsAdapter extends OutputAdapter {
+    constructor(name, fileName) {
+        super({ name, rootDir: '.ai-rules', rulesDir: 'rules', extension: '.md', rootFiles: [fileName] });
+        this.fileName = fileName;
+    }
+
+    async writeRule(rule, output) {
+        // Rendered from the whole hierarchy in writeRuleTree
+    }
+
+    getRuleFilePath(rule, config = {}) {
+        const inlined = ['always', 'auto_attached'].includes(rule.effectiveConfig.type) ||
+            config.aggregatedRuleStyle === 'collapsed';
+        return inlined ? this.fileName : this.getRulePath(rule);
+    }
+
+    /**
+     * Fold every rule of the hierarchy into one instructions file per project type and path.
+     * `always` and `auto_attached` rules are included in full, `agent_requested` and `manual`
+     * rules are either written to separate files linked from an index, or inlined as
+     * collapsed sections, depending on `aggregatedRuleStyle`.
+     * @param {Array} rules - Rule hierarchy from RuleGenerator.generateRules
+     * @param {object} output - Output collector
+     * @param {object} config - Generation config
+     */
+    async writeRuleTree(rules, output, config) {
+        const style = config.aggregatedRuleStyle || AGGREGATED_RULE_STYLES[0];
+        if (!AGGREGATED_RULE_STYLES.includes(style)) {
+            throw new Error(`[ERROR] ❗ Unknown aggregatedRuleStyle "${style}". Supported styles: ${AGGREGATED_RULE_STYLES.join(', ')}`);
+        }
+
+        // Per project type and path: inline parts and on-demand index entries
+        const groups = new Map();
+        const getGroup = (projectType, rulePath) => {
+            const filePath = path.join(projectType, rulePath, this.fileName);
+            if (!groups.has(filePath)) {
+                groups.set(filePath, { projectType, parts: [], index: [] });
+            }
+            return groups.get(filePath);
+        };
+
+        const visit = async (name, rule, sectionPath) => {
+            const effectiveConfig = rule.effectiveConfig;
+            if (effectiveConfig.type === 'excluded') {
+                return;
+            }
+
+            const depth = sectionPath.length;
+            const heading = '#'.repeat(Math.min(depth + 2, 6));
+            const description = effectiveConfig.description ? `: ${effectiveConfig.description}` : '';
+            for (const projectType of effectiveConfig.projectTypes || []) {
+                const adapterRule = {
+                    name,
+                    fileName: rule.id,
+                    sectionPath: rule.parentIds,
+                    projectType,
+                    effectiveConfig,
+                    source: rule.source,
+                    provenance: OutputAdapter.getProvenance(rule.source, config)
+                };
+                let content = MarkdownParser.resolveConditions((rule.content || []).join('\n'), { projectType });
+                if (config.linkResolver) {
+                    content = config.linkResolver.rewriteRuleLinks(content, this, adapterRule, config);
+                }
+                const group = getGroup(projectType, effectiveConfig.path);
+
+                if (effectiveConfig.type === 'always') {
+                    group.parts.push({ text: `${heading} ${name}\n\n${content}`, rule: adapterRule });
+                } else if (effectiveConfig.type === 'auto_attached') {
+                    group.parts.push({ text: `${heading} ${name}\n\n_Applies to files matching \`${effectiveConfig.globs || ''}\`_\n\n${content}`, rule: adapterRule });
+                } else if (style === 'collapsed') {
+                    group.parts.push({ text: `<details>\n<summary><strong>${name}</strong>${description}</summary>\n\n${content}\n\n</details>`, rule: adapterRule });
+                } else {
+                    // Write the rule to its own file and link it from the index
+                    const linkPath = this.getRulePath(adapterRule);
+                    const frontmatter = this.buildFrontmatter(adapterRule);
+                    await output.writeFile(
+                        path.join(projectType, effectiveConfig.path, linkPath),
+                        `---\n${this.formatFrontmatter(frontmatter).join('\n')}\n---\n# ${name}\n\n${content}\n`,
+                        adapterRule
+                    );
+                    group.index.push(`${'  '.repeat(depth)}- [${name}](${linkPath.split(path.sep).join('/')})${description}`);
+                }
+            }
+
+            for (const [subName, subRule] of Object.entries(rule.sections || {})) {
+                await visit(subName, subRule, [...sectionPath, name]);
+            }
+        };
+
+        // The aggregated file already lists every rule, so table of contents rules are skipped
+        for (const rule of rules.filter(rule => !rule.tableOfContents)) {
+            await visit(rule.name, rule, []);
+        }
+
+        for (const [filePath, group] of groups) {
+            group.parts.forEach(part => output.addBlockPart(filePath, group.projectType, part.text, part.rule));
+            if (group.index.length > 0) {
+                output.addBlockPart(
+                    filePath,
+                    group.projectType,
+                    `## Additional rules\n\nRead the matching file when a rule below is relevant to your task:\n\n${group.index.join('\n')}`
+                );
+            }
+        }
+    }
+}
+
+module.exports = AgentsAdapter;
@@ -0,0 +1,147 @@
+const MAX_RETRIES = 3;
+// Methods that may have been applied despite a server error (e.g. a pull request created before a 502)
+const NON_IDEMPOTENT_METHODS = ['POST'];
+// Longest wait for Retry-After or a rate limit reset before giving up
+const MAX_RETRY_WAIT_MS = 5 * 60 * 1000;
+
+/**
+ * Minimal JSON REST client shared by the git providers (GitHub, GitLab, Gitea). Request bodies
+ * are sent as JSON (no shell involved), server errors and rate limits are retried (only rate limits
+ * and network errors for POST), and failed requests throw with the message of the API.
+ */
+class ApiClient {
+    /**
+     * @param {string} apiUrl - Base URL of the API (e.g. 'https://gitlab.example.com/api/v4')
+     * @param {object} headers - Headers of every request (authentication, Accept)
+     * @param {object} options - { name (used in messages, e.g. 'GitLab'), maxRetries, sleep (ms => Promise) }
+     */
+    constructor(apiUrl, headers = {}, options = {}) {
+        this.apiUrl = apiUrl.replace(/\/+$/, '');
+        this.headers = headers;
+        this.name = options.name || 'API';
+        this.maxRetries = options.maxRetries ?? MAX_RETRIES;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    }
+
+    /**
+     * Send a request, retrying 5xx responses (except for POST), network errors and rate limits
+     * @param {string} method - HTTP method
+     * @param {string} path - API path (e.g. '/repos/org/app/pulls')
+     * @param {object} body - JSON body
+     * @returns {Promise<*>} Parsed response body (null when empty)
+     * @throws {Error} With status and API message when the request fails
+     */
+    async request(method, path, body = undefined) {
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            try {
+                response = await fetch(`${this.apiUrl}${path}`, {
+                    method,
+                    headers: {
+                        'User-Agent': 'ai-rules-generator',
+                        ...this.headers,
+                        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+                    },
+                    body: body !== undefined ? JSON.stringify(body) : undefined
+                });
+            } catch (error) {
+                if (attempt < this.maxRetries) {
+                    await this.wait(attempt, `${method} ${path} failed (${error.message})`);
+                    continue;
+                }
+                throw new Error(`[ERROR] ❗ ${this.name} API ${method} ${path} failed: ${error.message}`);
+            }
+
+            const text = await response.text();
+            const data = text ? ApiClient.parseJson(text) : null;
+            if (response.ok) {
+                return data;
+            }
+
+            const message = ApiClient.getErrorMessage(data, text);
+            const retryDelay = response.status >= 500 && NON_IDEMPOTENT_METHODS.includes(method.toUpperCase())
+                ? null
+                : this.getRetryDelay(response, message, attempt);
+            if (retryDelay !== null && attempt < this.maxRetries) {
+                await this.wait(attempt, `${method} ${path} returned ${response.status} (${message})`, retryDelay);
+                continue;
+            }
+
+            const error = new Error(`[ERROR] ❗ ${this.name} API ${method} ${path} failed (${response.status}): ${message}`);
+            error.status = response.status;
+            throw error;
+        }
+    }
+
+    /**
+     * Delay before retrying a failed response, or null when it should not be retried
+     * @param {Response} response - Failed response
+     * @param {string} message - API error message
+     * @param {number} attempt - Attempts made so far, minus one
+     * @returns {number|null} Delay in milliseconds
+     */
+    getRetryDelay(response, message, attempt) {
+        const retryAfter = response.headers.get('retry-after');
+        // GitHub sends x-ratelimit-*, GitLab ratelimit-*
+        const remaining = response.headers.get('x-ratelimit-remaining') ?? response.headers.get('ratelimit-remaining');
+        const reset = response.headers.get('x-ratelimit-reset') ?? response.headers.get('ratelimit-reset');
+        const rateLimited = (response.status === 403 || response.status === 429) &&
+            (retryAfter !== null || remaining === '0' || /rate limit/i.test(message));
+        if (response.status < 500 && !rateLimited) {
+            return null;
+        }
+
+        let delay = 1000 * 2 ** attempt;
+        if (retryAfter !== null) {
+            // Seconds, or an HTTP date
+            delay = /^\d+$/.test(retryAfter.trim()) ? Number(retryAfter) * 1000 : Date.parse(retryAfter) - Date.now();
+        } else if (remaining === '0' && reset) {
+            delay = Number(reset) * 1000 - Date.now();
+        } else if (rateLimited) {
+            // Secondary rate limits without Retry-After: wait at least a minute
+            delay = 60 * 1000 * 2 ** attempt;
+        }
+        if (!Number.isFinite(delay) || delay > MAX_RETRY_WAIT_MS) {
+            return null;
+        }
+        return Math.max(delay, 0);
+    }
+
+    async wait(attempt, reason, delay = 1000 * 2 ** attempt) {
+        console.warn(`[WARNING] ⚠️ ${reason}, retrying in ${Math.ceil(delay / 1000)}s (${attempt + 1}/${this.maxRetries})`);
+        await this.sleep(delay);
+    }
+
+    static parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Message of an API error, with the details of validation errors
+     * @param {object|null} data - Parsed error body
+     * @param {string} text - Raw error body
+     * @returns {string} Message (e.g. 'Validation Failed: A pull request already exists for org:branch.')
+     */
+    static getErrorMessage(data, text) {
+        if (!data || typeof data !== 'object') {
+            return text.trim().slice(0, 200) || 'no response body';
+        }
+        // GitHub: { message, errors: [...] }, GitLab: { message: string | { field: [...] } } or { error }, Gitea: { message }
+        const message = data.message && typeof data.message === 'object'
+            ? Object.entries(data.message).map(([field, errors]) => `${field} ${[].concat(errors).join(', ')}`).join('; ')
+            : data.message || data.error;
+        const details = (Array.isArray(data.errors) ? data.errors : [])
+            .map(error => (typeof error === 'string' ? error : error.message || [error.resource, error.field, error.code].filter(Boolean).join(' ')))
+            .filter(Boolean);
+        return [message, ...details].filter(Boolean).join(': ') || JSON.stringify(data);
+    }
+}
+
+ApiClient.MAX_RETRIES = MAX_RETRIES;
+ApiClient.NON_IDEMPOTENT_METHODS = NON_IDEMPOTENT_METHODS;
+
+module.exports = ApiClient;
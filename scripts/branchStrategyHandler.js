@@ -1,11 +1,15 @@
-const yaml = require('js-yaml');
-const fs = require('fs');
 const path = require('path');
+const OutputAdapterRegistry = require('./outputAdapterRegistry');
+const VariableHandler = require('./variableHandler');
+const ConfigLoader = require('./configLoader');
+const GitProviderRegistry = require('./gitProviderRegistry');
 
 class BranchStrategyHandler {
     constructor(configPath) {
-        this.config = yaml.load(fs.readFileSync(configPath, 'utf8'));
+        this.config = ConfigLoader.load(configPath);
         this.branchStrategies = this.config.branchStrategy || [];
+        // Built-in and custom (outputFormats) output format adapters
+        this.adapterRegistry = OutputAdapterRegistry.fromConfig(this.config, configPath);
     }
 
     /**
@@ -39,7 +43,10 @@ class BranchStrategyHandler {
                 mode: 'unique_branch_pr',
                 branchName: 'update-ai-rules',
                 targetBranch: 'main',
-                basePath: this.config.basePath || ''
+                basePath: this.config.basePath || '',
+                formats: this.config.defaultFormats || OutputAdapterRegistry.DEFAULT_FORMATS,
+                variables: { ...this.config.variables },
+                maxAlwaysTokens: this.config.maxAlwaysTokens || null
             };
         }
 
@@ -50,7 +57,12 @@ class BranchStrategyHandler {
             targetBranch: matchedStrategy.targetBranch,
             basePath: matchedStrategy.basePath !== undefined 
                 ? matchedStrategy.basePath 
-                : (this.config.basePath || '')
+                : (this.config.basePath || ''),
+            formats: matchedStrategy.formats || this.config.defaultFormats || OutputAdapterRegistry.DEFAULT_FORMATS,
+            // Global variables, overridden by the repo's strategy
+            variables: { ...this.config.variables, ...matchedStrategy.variables },
+            // Token budget of the always-applied rules, overriding the global one
+            maxAlwaysTokens: matchedStrategy.maxAlwaysTokens ?? this.config.maxAlwaysTokens ?? null
         };
     }
 
@@ -114,6 +126,29 @@ class BranchStrategyHandler {
                 throw new Error(`[WARNING] ⚠️ basePath must be relative, not absolute: ${strategy.basePath}`);
             }
         }
+
+        // Validate output formats if provided
+        if (strategy.formats !== undefined) {
+            if (!Array.isArray(strategy.formats) || strategy.formats.length === 0) {
+                throw new Error(`[WARNING] ⚠️ formats must be a non-empty array, got: ${JSON.stringify(strategy.formats)}`);
+            }
+
+            const validFormats = this.adapterRegistry.names();
+            const invalidFormats = strategy.formats.filter(format => !validFormats.includes(format));
+            if (invalidFormats.length > 0) {
+                throw new Error(`[WARNING] ⚠️ Invalid output formats: ${invalidFormats.join(', ')}. Valid formats: ${validFormats.join(', ')}`);
+            }
+        }
+
+        // Validate variables if provided
+        if (strategy.variables !== undefined) {
+            VariableHandler.validateVariables(strategy.variables);
+        }
+
+        if (strategy.maxAlwaysTokens !== null && strategy.maxAlwaysTokens !== undefined &&
+            !(Number.isInteger(strategy.maxAlwaysTokens) && strategy.maxAlwaysTokens > 0)) {
+            throw new Error(`[WARNING] ⚠️ maxAlwaysTokens must be a positive integer, got: ${strategy.maxAlwaysTokens}`);
+        }
     }
 
     /**
@@ -132,19 +167,25 @@ class BranchStrategyHandler {
     }
 
     /**
-     * Check if a Pull Request exists for the branch
+     * Git provider of a hosted repository (see `repositoryProviders`)
+     * @param {string} repo - Repository name (e.g., 'org/repo-name')
+     * @param {string} token - Token of the repository
+     * @returns {GitProvider} GitHub, GitLab or Gitea provider
+     */
+    getProvider(repo, token) {
+        return GitProviderRegistry.create(repo, this.config.repositoryProviders, token);
+    }
+
+    /**
+     * Check if a Pull Request (merge request on GitLab) exists for the branch
      * @param {string} repo - Repository name
      * @param {string} branchName - Branch name
-     * @param {string} token - GitHub token
-     * @returns {Promise<object|null>} PR object if exists, null otherwise
+     * @param {string} token - Token of the repository
+     * @returns {Promise<object|null>} { number, url } if exists, null otherwise
      */
     async findExistingPR(repo, branchName, token) {
         try {
-            const { execSync } = require('child_process');
-            const response = execSync(`curl -s -H "Authorization: token ${token}" -H "Accept: application/vnd.github.v3+json" "https://api.github.com/repos/${repo}/pulls?head=${repo.split('/')[0]}:${branchName}&state=open"`, { encoding: 'utf8' });
-            
-            const prs = JSON.parse(response);
-            return prs.length > 0 ? prs[0] : null;
+            return await this.getProvider(repo, token).findPullRequest(repo, branchName);
         } catch (error) {
             console.error('Error checking for existing PR:', error.message);
             return null;
@@ -157,16 +198,13 @@ class BranchStrategyHandler {
      * @param {number} prNumber - PR number
      * @param {string} title - PR title
      * @param {string} body - PR body
-     * @param {string} token - GitHub token
+     * @param {string} token - Token of the repository
      */
     async updatePR(repo, prNumber, title, body, token) {
         try {
-            const { execSync } = require('child_process');
-            const updateData = JSON.stringify({ title, body });
-            
-            execSync(`curl -X PATCH -H "Authorization: token ${token}" -H "Accept: application/vnd.github.v3+json" "https://api.github.com/repos/${repo}/pulls/${prNumber}" -d '${updateData}'`, { stdio: 'inherit' });
-            
-            console.log(`Updated existing PR #${prNumber} for repository: ${repo}`);
+            const provider = this.getProvider(repo, token);
+            const pr = await provider.updatePullRequest(repo, prNumber, { title, body });
+            console.log(`Updated existing ${provider.describePullRequest(pr)} for repository: ${repo}`);
         } catch (error) {
             console.error('Error updating PR:', error.message);
             throw error;
@@ -180,23 +218,52 @@ class BranchStrategyHandler {
      * @param {string} body - PR body
      * @param {string} head - Head branch
      * @param {string} base - Base branch
-     * @param {string} token - GitHub token
+     * @param {string} token - Token of the repository
+     * @returns {Promise<object>} { number, url }
      */
     async createPR(repo, title, body, head, base, token) {
         try {
-            const { execSync } = require('child_process');
-            const prData = JSON.stringify({ title, body, head, base });
-            
-            const response = execSync(`curl -X POST -H "Authorization: token ${token}" -H "Accept: application/vnd.github.v3+json" "https://api.github.com/repos/${repo}/pulls" -d '${prData}'`, { encoding: 'utf8' });
-            
-            const pr = JSON.parse(response);
-            console.log(`Created new PR #${pr.number} for repository: ${repo}`);
+            const provider = this.getProvider(repo, token);
+            let pr;
+            try {
+                pr = await provider.createPullRequest(repo, { title, body, head, base });
+            } catch (error) {
+                // A retry after a network error finds the pull request the first attempt opened
+                const existingPR = /already exists/i.test(error.message) && await provider.findPullRequest(repo, head);
+                if (!existingPR) {
+                    throw error;
+                }
+                console.log(`${provider.describePullRequest(existingPR)} of branch ${head} already exists for repository: ${repo}`);
+                return existingPR;
+            }
+            console.log(`Created new ${provider.describePullRequest(pr)} for repository: ${repo}`);
             return pr;
         } catch (error) {
             console.error('Error creating PR:', error.message);
             throw error;
         }
     }
+
+    /**
+     * Delete a remote branch through the provider API, closing its open pull request first
+     * (GitLab keeps merge requests open when their source branch is deleted, and a new one
+     * for the same branch is then refused)
+     * @param {string} repo - Repository name
+     * @param {string} branchName - Branch name
+     * @param {string} token - Token of the repository
+     * @returns {Promise<boolean>} False when the branch did not exist
+     */
+    async deleteBranch(repo, branchName, token) {
+        const provider = this.getProvider(repo, token);
+        const existingPR = await provider.findPullRequest(repo, branchName);
+        if (existingPR) {
+            await provider.closePullRequest(repo, existingPR.number);
+            console.log(`Closed ${provider.describePullRequest(existingPR)} of branch ${branchName} for repository: ${repo}`);
+        }
+        const deleted = await provider.deleteBranch(repo, branchName);
+        console.log(deleted ? `Deleted branch ${branchName} of repository: ${repo}` : `Branch ${branchName} does not exist in repository: ${repo}`);
+        return deleted;
+    }
 }
 
 module.exports = BranchStrategyHandler; 
\ No newline at end of file
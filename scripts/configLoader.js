@@ -0,0 +1,326 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const OutputAdapterRegistry = require('./outputAdapterRegistry');
+const RepoTarget = require('./repoTarget');
+const GitProviderRegistry = require('./gitProviderRegistry');
+const SCHEMA = require('./ai-rules-config.schema.json');
+
+/**
+ * Loads ai-rules-config.yml for every script: parses the YAML, validates it against
+ * ai-rules-config.schema.json and applies the defaults of the schema. Problems are reported
+ * all at once with their YAML path and line (e.g. `branchStrategy[1].targetBranch (line 42)`).
+ */
+class ConfigLoader {
+    /**
+     * Load and validate a config file
+     * @param {string} configPath - Path of ai-rules-config.yml
+     * @returns {object} Config with defaults applied
+     * @throws {Error} If the file is missing, is not valid YAML or does not match the schema
+     */
+    static load(configPath) {
+        if (!fs.existsSync(configPath)) {
+            throw new Error(`[ERROR] ❗ Config file does not exist: ${configPath}`);
+        }
+        const text = fs.readFileSync(configPath, 'utf8');
+
+        let config;
+        try {
+            config = yaml.load(text);
+        } catch (error) {
+            const line = error.mark ? ` at line ${error.mark.line + 1}, column ${error.mark.column + 1}` : '';
+            throw new Error(`[ERROR] ❗ Invalid YAML in ${configPath}${line}: ${error.reason || error.message}`);
+        }
+
+        const problems = this.validate(config === undefined || config === null ? {} : config);
+        if (problems.length > 0) {
+            const details = problems.map(problem => {
+                const line = this.findLine(text, problem.path);
+                const location = problem.path.length > 0 ? this.formatPath(problem.path) : '(root)';
+                return `  - ${location}${line ? ` (line ${line})` : ''}: ${problem.message}`;
+            });
+            throw new Error(`[ERROR] ❗ Invalid config ${configPath}:\n${details.join('\n')}`);
+        }
+
+        return this.applyDefaults(config || {});
+    }
+
+    /**
+     * Defaults of all top-level settings, from the schema
+     * @returns {object} Setting name to default value
+     */
+    static getDefaults() {
+        return Object.fromEntries(
+            Object.entries(SCHEMA.properties)
+                .filter(([, property]) => property.default !== undefined)
+                .map(([name, property]) => [name, JSON.parse(JSON.stringify(property.default))])
+        );
+    }
+
+    static applyDefaults(config) {
+        return { ...this.getDefaults(), ...config };
+    }
+
+    /**
+     * Check a config against the schema, then the rules a schema can't express
+     * @param {object} config - Parsed config
+     * @returns {Array} Array of { path, message } problems
+     */
+    static validate(config) {
+        const problems = [];
+        this.validateValue(config, SCHEMA, [], problems);
+        if (!this.hasType(config, 'object')) {
+            return problems;
+        }
+
+        const strategies = Array.isArray(config.branchStrategy) ? config.branchStrategy : [];
+        const lists = value => (Array.isArray(value) ? value : []);
+        strategies.forEach((strategy, index) => {
+            if (this.hasType(strategy, 'object') && strategy.mode && strategy.mode !== 'direct_commit' && !strategy.branchName) {
+                problems.push({ path: ['branchStrategy', index], message: `branchName is required for mode ${strategy.mode}` });
+            }
+        });
+
+        // Providers with complete settings, the others are reported once here instead of for each target
+        const providers = {};
+        const invalidProviders = new Set();
+        Object.entries(this.hasType(config.repositoryProviders, 'object') ? config.repositoryProviders : {}).forEach(([repo, provider]) => {
+            if (!this.hasType(provider, 'object') || !GitProviderRegistry.types().includes(provider.type)) {
+                // Reported by the schema
+                invalidProviders.add(repo);
+                return;
+            }
+            try {
+                GitProviderRegistry.create(repo, { [repo]: provider });
+                providers[repo] = provider;
+            } catch (error) {
+                invalidProviders.add(repo);
+                problems.push({ path: ['repositoryProviders', repo], message: error.message.replace(/^\[ERROR\] ❗\s*/, '') });
+            }
+        });
+
+        Object.keys(this.hasType(config.exports, 'object') ? config.exports : {}).forEach(target => {
+            if (invalidProviders.has(target) || (!providers[target] && invalidProviders.has('default'))) {
+                return;
+            }
+            try {
+                RepoTarget.parse(target, process.cwd(), providers);
+            } catch (error) {
+                problems.push({ path: ['exports', target], message: error.message.replace(/^\[ERROR\] ❗\s*/, '') });
+            }
+        });
+
+        // Built-in formats and the custom ones declared under outputFormats
+        const formats = [...new OutputAdapterRegistry().names(), ...Object.keys(this.hasType(config.outputFormats, 'object') ? config.outputFormats : {})];
+        const checkFormats = (list, listPath) => lists(list).forEach((format, index) => {
+            if (typeof format === 'string' && !formats.includes(format)) {
+                problems.push({ path: [...listPath, index], message: `unknown output format "${format}" (available: ${formats.join(', ')})` });
+            }
+        });
+        checkFormats(config.defaultFormats, ['defaultFormats']);
+        strategies.forEach((strategy, index) => checkFormats((strategy || {}).formats, ['branchStrategy', index, 'formats']));
+
+        return problems;
+    }
+
+    /**
+     * Validate a value against the subset of JSON Schema used by ai-rules-config.schema.json
+     * @param {*} value - Value to check
+     * @param {object} schema - Schema (or sub-schema)
+     * @param {Array} valuePath - Keys and indexes leading to the value
+     * @param {Array} problems - Problems found so far
+     */
+    static validateValue(value, schema, valuePath, problems) {
+        if (schema.$ref) {
+            schema = SCHEMA.definitions[schema.$ref.replace('#/definitions/', '')];
+        }
+        const add = message => problems.push({ path: valuePath, message });
+
+        if (schema.anyOf) {
+            const matches = schema.anyOf.some(option => {
+                const optionProblems = [];
+                this.validateValue(value, option, valuePath, optionProblems);
+                return optionProblems.length === 0;
+            });
+            if (!matches) {
+                add(`must be ${schema.anyOf.map(option => this.describeSchema(option)).join(' or ')}`);
+            }
+            return;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            add(`must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+            return;
+        }
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => this.hasType(value, type))) {
+                add(`must be ${types.join(' or ')}, got ${this.getType(value)}`);
+                return;
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                add('must not be empty');
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                add(`invalid value ${JSON.stringify(value)}`);
+            }
+        }
+        if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            add(`must be at least ${schema.minimum}`);
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                add(`must have at least ${schema.minItems} item(s)`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validateValue(item, schema.items, [...valuePath, index], problems));
+            }
+        } else if (this.hasType(value, 'object')) {
+            (schema.required || [])
+                .filter(key => value[key] === undefined)
+                .forEach(key => add(`missing required property "${key}"`));
+
+            Object.entries(value).forEach(([key, propertyValue]) => {
+                const propertySchema = schema.properties && schema.properties[key];
+                if (propertySchema) {
+                    this.validateValue(propertyValue, propertySchema, [...valuePath, key], problems);
+                } else if (schema.additionalProperties === false) {
+                    const suggestion = this.suggest(key, Object.keys(schema.properties || {}));
+                    problems.push({
+                        path: [...valuePath, key],
+                        message: `unknown property${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+                    });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    this.validateValue(propertyValue, schema.additionalProperties, [...valuePath, key], problems);
+                }
+            });
+        }
+    }
+
+    static hasType(value, type) {
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+
+    static getType(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    static describeSchema(schema) {
+        if (schema.$ref) {
+            schema = SCHEMA.definitions[schema.$ref.replace('#/definitions/', '')];
+        }
+        return schema.type === 'array' ? 'a list of strings' : `a ${schema.type}`;
+    }
+
+    /**
+     * Closest known key to a misspelled one (e.g. 'exprots' → 'exports')
+     * @param {string} key - Unknown key
+     * @param {Array} candidates - Known keys
+     * @returns {string|null} Suggestion, or null when nothing is close
+     */
+    static suggest(key, candidates) {
+        const distance = (a, b) => {
+            const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+            for (let i = 1; i <= a.length; i++) {
+                let previous = row[0];
+                row[0] = i;
+                for (let j = 1; j <= b.length; j++) {
+                    const current = row[j];
+                    row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+                    previous = current;
+                }
+            }
+            return row[b.length];
+        };
+        const [best] = candidates
+            .map(candidate => ({ candidate, score: distance(key, candidate) }))
+            .sort((a, b) => a.score - b.score);
+        return best && best.score <= Math.max(2, Math.floor(key.length / 4)) ? best.candidate : null;
+    }
+
+    /**
+     * YAML path as written in messages (e.g. `branchStrategy[1].targetBranch`, `exports["org/repo"]`)
+     * @param {Array} valuePath - Keys and indexes
+     * @returns {string} Formatted path
+     */
+    static formatPath(valuePath) {
+        return valuePath.map((segment, index) => {
+            if (typeof segment === 'number') {
+                return `[${segment}]`;
+            }
+            if (!/^[A-Za-z_][\w-]*$/.test(segment)) {
+                return `[${JSON.stringify(segment)}]`;
+            }
+            return index === 0 ? segment : `.${segment}`;
+        }).join('');
+    }
+
+    /**
+     * Line of a value in block-style YAML, found from the indentation of its keys and `-` items.
+     * Values inside flow collections (`[a, b]`, `{ a: b }`) resolve to the line of their collection.
+     * @param {string} text - YAML text
+     * @param {Array} valuePath - Keys and indexes leading to the value
+     * @returns {number|null} 1-based line, or null when not found
+     */
+    static findLine(text, valuePath) {
+        // Lines of the current block, with the `- ` of the current item blanked so its first key lines up
+        let lines = text.split('\n');
+        let start = 0;
+        let end = lines.length;
+        let foundLine = null;
+        const indentOf = line => line.length - line.trimStart().length;
+        const isContent = line => line.trim() && !line.trim().startsWith('#');
+
+        for (const segment of valuePath) {
+            const blockLines = [];
+            for (let line = start; line < end; line++) {
+                if (isContent(lines[line])) {
+                    blockLines.push(line);
+                }
+            }
+            if (blockLines.length === 0) {
+                break;
+            }
+            const indent = indentOf(lines[blockLines[0]]);
+            const siblings = blockLines.filter(line => indentOf(lines[line]) === indent);
+
+            let line;
+            if (typeof segment === 'number') {
+                line = siblings.filter(sibling => /^\s*-(\s|$)/.test(lines[sibling]))[segment];
+                if (line !== undefined) {
+                    lines = [...lines];
+                    lines[line] = lines[line].replace(/^(\s*)-/, '$1 ');
+                }
+            } else {
+                const keyPattern = new RegExp(`^\\s*(${this.escapeRegExp(segment)}|'${this.escapeRegExp(segment)}'|"${this.escapeRegExp(segment)}")\\s*:(\\s|$)`);
+                line = siblings.find(sibling => keyPattern.test(lines[sibling]));
+            }
+            if (line === undefined) {
+                break;
+            }
+
+            foundLine = line + 1;
+            const next = blockLines.find(other => other > line && indentOf(lines[other]) <= indent && !(typeof segment === 'number' && indentOf(lines[other]) > indent));
+            start = typeof segment === 'number' ? line : line + 1;
+            end = next === undefined ? end : next;
+        }
+
+        return foundLine;
+    }
+
+    static escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+}
+
+module.exports = ConfigLoader;
@@ -1,55 +1,336 @@
+const crypto = require('crypto');
+
+// Keys allowed in the `ai-rules` frontmatter of a documentation file
+const FRONTMATTER_CONFIG_KEYS = ['type', 'path', 'projectTypes', 'globs'];
+
+// Explicit section ids (`id="..."`): letters, digits, '_' and '-'
+const SECTION_ID_PATTERN = /^[\p{L}\p{N}_-]+$/u;
+
+// Letters that don't decompose into an ASCII letter and a diacritic
+const TRANSLITERATION = {
+    'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'ł': 'l', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ı': 'i',
+    // Cyrillic
+    'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'ґ': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'є': 'ye', 'ж': 'zh',
+    'з': 'z', 'и': 'i', 'і': 'i', 'ї': 'yi', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o',
+    'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ў': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch',
+    'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya',
+    // Greek
+    'α': 'a', 'ά': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'έ': 'e', 'ζ': 'z', 'η': 'i', 'ή': 'i',
+    'θ': 'th', 'ι': 'i', 'ί': 'i', 'ϊ': 'i', 'ΐ': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x',
+    'ο': 'o', 'ό': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y', 'ύ': 'y', 'ϋ': 'y',
+    'ΰ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o', 'ώ': 'o'
+};
+
+// Values of the `type` attribute
+const RULE_TYPES = ['always', 'auto_attached', 'agent_requested', 'manual', 'excluded'];
+// Attributes of `<!-- ai-rules ... -->` comments and the value they take: 'string', 'list'
+// (`["a", "b"]` or a comma-separated string), 'boolean' (true, false, or the attribute alone)
+// or an array of the accepted strings
+const CONFIG_ATTRIBUTE_TYPES = {
+    type: RULE_TYPES,
+    path: 'string',
+    globs: 'list',
+    description: 'string',
+    projectTypes: 'list',
+    unifySubsections: 'boolean',
+    id: 'string'  // Rule file name, defaults to the slug of the title
+};
+const CONFIG_ATTRIBUTES = Object.keys(CONFIG_ATTRIBUTE_TYPES);
+
 class ConfigParser {
-    static parseConfigAttributes(configStr) {
-        const config = {
-            type: null,
-            path: null,
-            globs: null,
-            description: null,
-            projectTypes: null,  // Will inherit from parent if null
-            unifySubsections: false
-        };
+    /**
+     * Parse the attributes of an ai-rules comment. Only the attributes that are set are returned,
+     * so several comments on one section add up.
+     * @param {string} configStr - Attribute string (e.g. `type="always" projectTypes=["react", "vue"]`)
+     * @param {string} location - Location of the comment (e.g. 'docs/guide.md:12'), for error messages
+     * @returns {object} Section config
+     * @throws {Error} If an attribute is unknown or malformed
+     */
+    static parseConfigAttributes(configStr, location = null) {
+        const { config, problems } = this.readConfigAttributes(configStr);
+        if (problems.length > 0) {
+            throw new Error(`[ERROR] ❗ ${problems[0].message} in ai-rules comment${location ? ` at ${location}` : ''}`);
+        }
+        return config;
+    }
 
-        // Extract type
-        const typeMatch = configStr.match(/type="([^"]+)"/);
-        if (typeMatch) config.type = typeMatch[1];
+    /**
+     * Tokenize the attributes of an ai-rules comment and convert them to the types of CONFIG_ATTRIBUTE_TYPES.
+     * Values are double- or single-quoted strings (with \", \' and \\ escapes), arrays of strings or bare words.
+     * @param {string} configStr - Attribute string
+     * @param {object} attributeTypes - Attributes and their type, for the ai-rules-* directives (e.g. { file: 'string' })
+     * @returns {object} { config, problems }: problems have a kind ('unknown', 'unknown-value' or 'malformed') and a message
+     */
+    static readConfigAttributes(configStr, attributeTypes = CONFIG_ATTRIBUTE_TYPES) {
+        const config = {};
+        const problems = [];
+        let index = 0;
 
-        // Extract path
-        const pathMatch = configStr.match(/path="([^"]+)"/);
-        if (pathMatch) config.path = pathMatch[1];
+        const skipSpace = () => {
+            while (index < configStr.length && /\s/.test(configStr[index])) {
+                index++;
+            }
+        };
+        const readQuoted = () => {
+            const quote = configStr[index++];
+            let value = '';
+            while (index < configStr.length && configStr[index] !== quote) {
+                if (configStr[index] === '\\' && (configStr[index + 1] === quote || configStr[index + 1] === '\\')) {
+                    index++;
+                }
+                value += configStr[index++];
+            }
+            if (index >= configStr.length) {
+                throw new Error(`unclosed ${quote}`);
+            }
+            index++;
+            return value;
+        };
+        const readBare = () => {
+            const match = configStr.slice(index).match(/^[^\s"'=,[\]]+/);
+            if (!match) {
+                throw new Error(`unexpected "${configStr[index]}"`);
+            }
+            index += match[0].length;
+            return match[0];
+        };
+        const readArray = () => {
+            const items = [];
+            index++;
+            skipSpace();
+            while (configStr[index] !== ']') {
+                if (index >= configStr.length) {
+                    throw new Error('unclosed [');
+                }
+                items.push(configStr[index] === '"' || configStr[index] === "'" ? readQuoted() : readBare());
+                skipSpace();
+                if (configStr[index] === ',') {
+                    index++;
+                    skipSpace();
+                } else if (configStr[index] !== ']' && index < configStr.length) {
+                    throw new Error(`expected "," or "]" but found "${configStr[index]}"`);
+                }
+            }
+            index++;
+            return items;
+        };
 
-        // Extract globs
-        const globsMatch = configStr.match(/globs="([^"]+)"/);
-        if (globsMatch) config.globs = globsMatch[1];
+        while (true) {
+            skipSpace();
+            if (index >= configStr.length) {
+                break;
+            }
 
-        // Extract description
-        const descriptionMatch = configStr.match(/description="([^"]+)"/);
-        if (descriptionMatch) config.description = descriptionMatch[1];
+            const nameMatch = configStr.slice(index).match(/^[A-Za-z_][\w-]*/);
+            if (!nameMatch) {
+                problems.push({ kind: 'malformed', message: `Malformed attributes "${configStr.slice(index).trim()}"` });
+                break;
+            }
+            const name = nameMatch[0];
+            index += name.length;
+            skipSpace();
 
-        // Extract projectTypes as JSON array
-        const projectTypesMatch = configStr.match(/projectTypes='(\[[^\]]+\])'/);
-        if (projectTypesMatch) {
+            let value = true;  // An attribute alone is a boolean flag
+            if (configStr[index] === '=') {
+                index++;
+                skipSpace();
+                try {
+                    const char = configStr[index];
+                    if (char === '"' || char === "'") {
+                        value = readQuoted();
+                    } else if (char === '[') {
+                        value = readArray();
+                    } else {
+                        const word = readBare();
+                        value = word === 'true' || word === 'false' ? word === 'true' : word;
+                    }
+                } catch (error) {
+                    problems.push({ kind: 'malformed', message: `Malformed value of attribute "${name}": ${error.message}` });
+                    break;
+                }
+            }
+
+            if (!attributeTypes[name]) {
+                problems.push({ kind: 'unknown', message: `Unknown attribute "${name}" (supported: ${Object.keys(attributeTypes).join(', ')})` });
+                continue;
+            }
+            if (config[name] !== undefined) {
+                problems.push({ kind: 'malformed', message: `Attribute "${name}" is set twice` });
+                continue;
+            }
+            const type = attributeTypes[name];
+            let converted;
             try {
-                config.projectTypes = JSON.parse(projectTypesMatch[1]);
-            } catch (e) {
-                console.warn('[WARNING] ⚠️ Invalid projectTypes JSON in ai-rules:', projectTypesMatch[1]);
+                converted = this.convertAttribute(name, value, Array.isArray(type) ? 'string' : type);
+            } catch (error) {
+                problems.push({ kind: 'malformed', message: `Invalid attribute ${name}: ${error.message}` });
+                continue;
+            }
+            if (Array.isArray(type) && !type.includes(converted)) {
+                problems.push({ kind: 'unknown-value', message: `Unknown ${name} "${converted}" (supported: ${type.join(', ')})` });
+                continue;
+            }
+            config[name] = converted;
+        }
+
+        return { config, problems };
+    }
+
+    /**
+     * Convert a tokenized attribute value to the type of its attribute
+     * @param {string} name - Attribute name
+     * @param {string|Array|boolean} value - Tokenized value
+     * @param {string} type - 'string', 'list' or 'boolean'
+     * @returns {string|Array|boolean} Value, with globs joined into a comma-separated string
+     * @throws {Error} If the value doesn't fit the attribute
+     */
+    static convertAttribute(name, value, type = CONFIG_ATTRIBUTE_TYPES[name]) {
+        switch (type) {
+            case 'boolean':
+                if (typeof value === 'string' && /^(true|false)$/i.test(value)) {
+                    return value.toLowerCase() === 'true';
+                }
+                if (typeof value !== 'boolean') {
+                    throw new Error(`expected true or false, got ${JSON.stringify(value)}`);
+                }
+                return value;
+            case 'list': {
+                if (typeof value === 'boolean') {
+                    throw new Error('expected a list, e.g. ["a", "b"]');
+                }
+                let items = value;
+                if (typeof value === 'string') {
+                    // JSON array in a string, as in projectTypes='["a", "b"]'
+                    const json = this.parseJsonArray(value);
+                    items = json || this.splitList(value);
+                }
+                items = items.map(item => String(item).trim()).filter(Boolean);
+                if (items.length === 0) {
+                    throw new Error('empty list');
+                }
+                return name === 'globs' ? items.join(',') : items;
+            }
+            default:
+                if (typeof value !== 'string') {
+                    throw new Error(`expected a string, got ${Array.isArray(value) ? 'a list' : value}`);
+                }
+                return value;
+        }
+    }
+
+    static parseJsonArray(value) {
+        try {
+            const parsed = JSON.parse(value);
+            return Array.isArray(parsed) ? parsed : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Split a comma-separated list, keeping commas inside {} and [] (e.g. globs like "src/{a,b}/**")
+     * @param {string} value - Comma-separated list
+     * @returns {Array} Items
+     */
+    static splitList(value) {
+        const items = [''];
+        let depth = 0;
+        for (const char of value) {
+            if (char === '{' || char === '[') depth++;
+            if (char === '}' || char === ']') depth--;
+            if (char === ',' && depth <= 0) {
+                items.push('');
+            } else {
+                items[items.length - 1] += char;
             }
         }
+        return items;
+    }
 
-        // Extract unifySubsections
-        const unifyMatch = configStr.match(/unifySubsections="([^"]+)"/);
-        if (unifyMatch) config.unifySubsections = unifyMatch[1].toLowerCase() === 'true';
+    /**
+     * Read file-wide defaults from the `ai-rules` frontmatter of a documentation file
+     * @param {object} frontmatter - Frontmatter data parsed by gray-matter
+     * @param {string} filePath - Path of the file, for error messages
+     * @returns {object|false} File config ({} when not set), or false when the file opts out (`ai-rules: false`)
+     */
+    static parseFrontmatterConfig(frontmatter, filePath) {
+        const fileConfig = frontmatter['ai-rules'];
+        if (fileConfig === undefined || fileConfig === null || fileConfig === true) {
+            return {};
+        }
+        if (fileConfig === false) {
+            return false;
+        }
+        if (typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+            throw new Error(`[ERROR] ❗ Invalid ai-rules frontmatter in ${filePath}: expected false or an object with ${FRONTMATTER_CONFIG_KEYS.join(', ')}`);
+        }
+
+        const unknownKeys = Object.keys(fileConfig).filter(key => !FRONTMATTER_CONFIG_KEYS.includes(key));
+        if (unknownKeys.length > 0) {
+            throw new Error(`[ERROR] ❗ Unknown ai-rules frontmatter keys in ${filePath}: ${unknownKeys.join(', ')} (allowed: ${FRONTMATTER_CONFIG_KEYS.join(', ')})`);
+        }
+
+        const config = { ...fileConfig };
+        if (config.projectTypes !== undefined) {
+            if (typeof config.projectTypes === 'string') {
+                config.projectTypes = [config.projectTypes];
+            }
+            if (!Array.isArray(config.projectTypes) || config.projectTypes.length === 0) {
+                throw new Error(`[ERROR] ❗ Invalid ai-rules frontmatter in ${filePath}: projectTypes must be a non-empty array`);
+            }
+        }
+        if (Array.isArray(config.globs)) {
+            config.globs = config.globs.join(',');
+        }
 
         return config;
     }
 
+    /**
+     * Slug of a title used for rule file names: lowercase, accents removed, Cyrillic and Greek
+     * transliterated, other scripts (e.g. Japanese) kept as is and everything else replaced by '_'
+     * @param {string} title - Section title
+     * @returns {string} Slug (e.g. 'Über Größen' → 'uber_grossen')
+     */
     static formatTitle(title) {
-        return title
-            .toLowerCase()
-            .replace(/[^a-z0-9]+/g, '_')
+        const slug = Array.from(title.toLowerCase(), char => TRANSLITERATION[char] ?? char)
+            .join('')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')  // Combining diacritical marks
+            .normalize('NFC')
+            .replace(/[^\p{L}\p{N}]+/gu, '_')
             .replace(/^_+|_+$/g, '');
+
+        // Titles without any letter or digit (e.g. only emoji) still need a stable name
+        return slug || `section_${crypto.createHash('sha1').update(title).digest('hex').slice(0, 8)}`;
+    }
+
+    /**
+     * Identifier of a section, used as its rule file name and as directory name for its subsections
+     * @param {string} title - Section title
+     * @param {object} config - Section config (parsed ai-rules comments)
+     * @returns {string} Explicit `id` attribute, or the slug of the title
+     */
+    static getSectionId(title, config = {}) {
+        if (!config.id) {
+            return this.formatTitle(title);
+        }
+        if (!SECTION_ID_PATTERN.test(config.id)) {
+            throw new Error(`[ERROR] ❗ Invalid id="${config.id}" for section "${title}": only letters, digits, '_' and '-' are allowed`);
+        }
+        return config.id;
     }
 
-    static calculateEffectiveConfig(section, parentConfig = null, defaultConfig = {}) {
+    /**
+     * Calculate the config of a section. Each setting comes from the first of: the section's
+     * ai-rules comments, its parent section, the file's ai-rules frontmatter, the global defaults.
+     * @param {object} section - Section with its parsed config
+     * @param {object|null} parentConfig - Effective config of the parent section
+     * @param {object} defaultConfig - Global config
+     * @param {object} fileConfig - Defaults from the ai-rules frontmatter of the section's file
+     * @returns {object} Effective config
+     */
+    static calculateEffectiveConfig(section, parentConfig = null, defaultConfig = {}, fileConfig = {}) {
         const sectionConfig = section.config || {};
         
         // Handle globs and description inheritance - they are mutually exclusive
@@ -58,17 +339,17 @@ class ConfigParser {
         
         // Only inherit globs from parent if current section has no globs and no description
         if (!effectiveGlobs && !effectiveDescription) {
-            effectiveGlobs = parentConfig?.globs || null;
+            effectiveGlobs = parentConfig?.globs || fileConfig.globs || null;
         }
         
         // Never inherit description from parent - descriptions are section-specific
         
         const effectiveConfig = {
-            type: sectionConfig.type || parentConfig?.type || defaultConfig.defaultRuleType,
-            path: sectionConfig.path || parentConfig?.path || defaultConfig.defaultRulePath,
+            type: sectionConfig.type || parentConfig?.type || fileConfig.type || defaultConfig.defaultRuleType,
+            path: sectionConfig.path || parentConfig?.path || fileConfig.path || defaultConfig.defaultRulePath,
             globs: effectiveGlobs,
             description: effectiveDescription,
-            projectTypes: sectionConfig.projectTypes || parentConfig?.projectTypes || defaultConfig.defaultProjectTypes,
+            projectTypes: sectionConfig.projectTypes || parentConfig?.projectTypes || fileConfig.projectTypes || defaultConfig.defaultProjectTypes,
             unifySubsections: sectionConfig.unifySubsections ?? parentConfig?.unifySubsections ?? false
         };
 
@@ -101,4 +382,8 @@ class ConfigParser {
     }
 }
 
+ConfigParser.RULE_TYPES = RULE_TYPES;
+ConfigParser.CONFIG_ATTRIBUTES = CONFIG_ATTRIBUTES;
+ConfigParser.CONFIG_ATTRIBUTE_TYPES = CONFIG_ATTRIBUTE_TYPES;
+
 module.exports = ConfigParser; 
\ No newline at end of file
@@ -0,0 +1,103 @@
+const path = require('path');
+const OutputAdapter = require('./outputAdapter');
+
+const ALWAYS_FILE = 'copilot-instructions.md';
+// Rule types Copilot applies by itself: always (copilot-instructions.md) and auto_attached (applyTo)
+const SUPPORTED_TYPES = ['always', 'auto_attached'];
+
+// `.github/instructions/**/*.instructions.md`, with all `always` rules
+// folded into a managed block of `.github/copilot-instructions.md`
+class CopilotAdapter extends OutputAdapter {
+    constructor() {
+        super({ name: 'copilot', rootDir: '.github', rulesDir: 'instructions', extension: '.instructions.md' });
+        this.skippedTypes = new Set();
+    }
+
+    supportsRule(rule) {
+        return SUPPORTED_TYPES.includes(rule.effectiveConfig.type);
+    }
+
+    async writeRule(rule, output) {
+        const { type } = rule.effectiveConfig;
+        if (!this.supportsRule(rule)) {
+            // An instructions file without applyTo is never applied, so none is written
+            if (!this.skippedTypes.has(type)) {
+                console.warn(`[WARNING] ⚠️ Copilot only applies always and auto_attached rules, ${type} rules are not written in the copilot format (e.g. "${rule.name}")`);
+                this.skippedTypes.add(type);
+            }
+            return;
+        }
+        if (type !== 'always') {
+            await super.writeRule(rule, output);
+            return;
+        }
+
+        // Fold into the single instructions file, under the section title
+        const content = rule.content;
+        const startsWithHeading = /^#{1,6}\s/.test(content[0] || '');
+        const heading = '#'.repeat(Math.min(rule.sectionPath.length + 1, 6));
+        output.addBlockPart(
+            this.getOutputPath(rule, path.join(this.rootDir, ALWAYS_FILE)),
+            rule.projectType,
+            startsWithHeading ? content.join('\n') : `${heading} ${rule.name}\n\n${content.join('\n')}`,
+            rule
+        );
+    }
+
+    getRuleFilePath(rule, config) {
+        if (rule.effectiveConfig.type === 'always') {
+            return path.join(this.rootDir, ALWAYS_FILE);
+        }
+        return super.getRuleFilePath(rule, config);
+    }
+
+    buildFrontmatter(rule) {
+        const frontmatter = super.buildFrontmatter(rule);
+
+        if (rule.effectiveConfig.type === 'auto_attached') {
+            frontmatter.applyTo = CopilotAdapter.toApplyTo(rule.effectiveConfig.globs || '');
+        }
+
+        return frontmatter;
+    }
+
+    isRuleFile(filePath) {
+        const segments = filePath.replace(/\\/g, '/').split('/');
+        if (segments[segments.length - 1] === ALWAYS_FILE && segments[segments.length - 2] === this.rootDir) {
+            return true;
+        }
+        return super.isRuleFile(filePath);
+    }
+
+    /**
+     * Convert our gitignore-style globs ("*.jsx,*.tsx") into Copilot's workspace-relative
+     * applyTo patterns ("**\/*.jsx,**\/*.tsx"), keeping commas inside braces intact
+     * @param {string} globs - Comma-separated globs
+     * @returns {string} Comma-separated applyTo patterns
+     */
+    static toApplyTo(globs) {
+        const patterns = [];
+        let current = '';
+        let braceDepth = 0;
+
+        for (const char of globs) {
+            if (char === '{') braceDepth++;
+            if (char === '}') braceDepth--;
+            if (char === ',' && braceDepth === 0) {
+                patterns.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        patterns.push(current);
+
+        return patterns
+            .map(pattern => pattern.trim())
+            .filter(Boolean)
+            .map(pattern => pattern.includes('/') ? pattern.replace(/^\//, '') : `**/${pattern}`)
+            .join(',');
+    }
+}
+
+module.exports = CopilotAdapter;
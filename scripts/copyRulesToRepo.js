@@ -1,25 +1,31 @@
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
 const RuleCleanupHandler = require('./ruleCleanupHandler');
 const BranchStrategyHandler = require('./branchStrategyHandler');
+const ManagedBlockHandler = require('./managedBlockHandler');
+const MarkdownParser = require('./markdownParser');
+const LinkResolver = require('./linkResolver');
+const VariableHandler = require('./variableHandler');
+const ConfigLoader = require('./configLoader');
 
 // Get command line arguments
-const [, , targetRepo, configPath, sourceBaseDir, targetBaseDir] = process.argv;
+// Optional reportPath receives a JSON sync report (cleanup removals and their reasons), used for the PR body
+const [, , targetRepo, configPath, sourceBaseDir, targetBaseDir, reportPath] = process.argv;
 
 console.log('[DEBUG]  copyRulesToRepo.js called with:');
 console.log('  targetRepo:', targetRepo);
 console.log('  configPath:', configPath);
 console.log('  sourceBaseDir:', sourceBaseDir);
 console.log('  targetBaseDir:', targetBaseDir);
+console.log('  reportPath:', reportPath || '(none)');
 
 if (!targetRepo || !configPath || !sourceBaseDir || !targetBaseDir) {
-    console.error('Usage: node copyRulesToRepo.js <targetRepo> <configPath> <sourceBaseDir> <targetBaseDir>');
+    console.error('Usage: node copyRulesToRepo.js <targetRepo> <configPath> <sourceBaseDir> <targetBaseDir> [reportPath]');
     process.exit(1);
 }
 
-// Read and parse config file
-const config = yaml.load(fs.readFileSync(configPath, 'utf8'));
+// Read, validate and apply the defaults of the config file
+const config = ConfigLoader.load(configPath);
 
 // Get project types for the target repository
 const targetProjectTypes = config.exports[targetRepo] || [];
@@ -37,6 +43,15 @@ const strategy = branchStrategyHandler.getStrategyForRepo(targetRepo);
 
 console.log('[DEBUG]  Branch strategy for', targetRepo, ':', strategy);
 
+// Output formats this repository receives (e.g. .cursor and/or .windsurf rule directories, AGENTS.md files)
+const adapterRegistry = branchStrategyHandler.adapterRegistry;
+const targetFormats = strategy.formats;
+const targetAdapters = targetFormats.map(format => adapterRegistry.get(format));
+const formatRootDirs = targetAdapters.map(adapter => adapter.rootDir).filter(Boolean);
+const formatRootFiles = targetAdapters.flatMap(adapter => adapter.rootFiles);
+
+console.log('[DEBUG]  Output formats for', targetRepo, ':', targetFormats);
+
 // Apply repo-specific basePath to determine effective target directory
 const repoBasePath = strategy.basePath || '';
 const effectiveTargetBaseDir = repoBasePath 
@@ -51,7 +66,7 @@ console.log('[DEBUG]  Source base directory:', sourceBaseDir);
 
 // Initialize cleanup handler for the entire repository (not just effective target dir)
 // This ensures we can find and clean up orphaned rules even if basePath changed
-const ruleCleanupHandler = new RuleCleanupHandler(targetBaseDir, targetProjectTypes);
+const ruleCleanupHandler = new RuleCleanupHandler(targetBaseDir, targetProjectTypes, targetFormats, repoBasePath, adapterRegistry);
 
 // Perform cleanup before copying new rules
 async function performCleanup() {
@@ -85,20 +100,49 @@ function copyDir(source, target) {
         if (entry.isDirectory()) {
             copyDir(sourcePath, targetPath);
         } else if (entry.isFile()) {
-            console.log(`[DEBUG]  Copying file ${sourcePath} to ${targetPath}`);
-            fs.copyFileSync(sourcePath, targetPath);
-            console.log(`Copied file: ${entry.name}`);
-            
-            // Verify the file was copied
-            if (fs.existsSync(targetPath)) {
-                console.log(`[DEBUG]  Verified ${targetPath} exists after copy`);
-            } else {
-                console.log(`[ERROR] ❗  ${targetPath} does not exist after copy`);
-            }
+            copyFile(sourcePath, targetPath);
         }
     }
 }
 
+// Function to copy a single rule file, merging managed blocks into shared files
+function copyFile(sourcePath, targetPath) {
+    // Conditional blocks testing the target repo are resolved here, project types were resolved at generation
+    const resolvedContent = MarkdownParser.resolveConditions(fs.readFileSync(sourcePath, 'utf8'), { repo: targetRepo });
+    // {{variables}} get this repo's values, plus built-in ones
+    const variables = {
+        ...strategy.variables,
+        'aiRules.repo': targetRepo,
+        'aiRules.basePath': repoBasePath ? `${repoBasePath.replace(/\/+$/, '')}/` : ''
+    };
+    const substitutedContent = VariableHandler.substitute(resolvedContent, variables, {
+        strict: config.strictVariables === true,
+        source: path.relative(sourceBaseDir, sourcePath)
+    });
+    // Rule references (e.g. Cursor's @.cursor/rules/...) point to the rules under this repo's base path
+    const sourceContent = LinkResolver.resolveBasePath(substitutedContent, repoBasePath);
+    if (ManagedBlockHandler.hasBlocks(sourceContent) && fs.existsSync(targetPath)) {
+        // Shared file (e.g. copilot-instructions.md, AGENTS.md): only replace our managed blocks
+        console.log(`[DEBUG]  Merging managed blocks from ${sourcePath} into ${targetPath}`);
+        const targetContent = fs.readFileSync(targetPath, 'utf8');
+        fs.writeFileSync(targetPath, ManagedBlockHandler.mergeBlocks(targetContent, sourceContent));
+        console.log(`Merged file: ${path.basename(targetPath)}`);
+        return;
+    }
+
+    console.log(`[DEBUG]  Copying file ${sourcePath} to ${targetPath}`);
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.writeFileSync(targetPath, sourceContent);
+    console.log(`Copied file: ${path.basename(targetPath)}`);
+    
+    // Verify the file was copied
+    if (fs.existsSync(targetPath)) {
+        console.log(`[DEBUG]  Verified ${targetPath} exists after copy`);
+    } else {
+        console.log(`[ERROR] ❗  ${targetPath} does not exist after copy`);
+    }
+}
+
 // Function to extract the target path from the project type structure
 function getTargetPathFromProjectType(sourceCursorDir, projectTypeDir) {
     // The relative path is the part of sourceCursorDir that comes after projectTypeDir
@@ -131,9 +175,9 @@ async function main() {
             
             console.log(`[DEBUG]  Found project type directory: ${projectTypeDir}`);
             
-            // Find all .cursor directories within this project type
-            function findCursorTestDirs(dir, relativePath = '') {
-                const cursorTestDirs = [];
+            // Find all rule directories (.cursor, .windsurf, ...) and files (AGENTS.md, ...) for this repo's formats within this project type
+            function findFormatRootDirs(dir, relativePath = '') {
+                const formatDirs = [];
                 
                 try {
                     const entries = fs.readdirSync(dir, { withFileTypes: true });
@@ -142,39 +186,45 @@ async function main() {
                         const fullPath = path.join(dir, entry.name);
                         
                         if (entry.isDirectory()) {
-                            if (entry.name === '.cursor') {
-                                cursorTestDirs.push(fullPath);
-                            } else {
-                                // Recursively search subdirectories
-                                cursorTestDirs.push(...findCursorTestDirs(fullPath, path.join(relativePath, entry.name)));
+                            if (formatRootDirs.includes(entry.name)) {
+                                formatDirs.push(fullPath);
+                            } else if (!adapterRegistry.all().some(adapter => adapter.rootDir === entry.name)) {
+                                // Recursively search subdirectories (skipping formats not exported to this repo)
+                                formatDirs.push(...findFormatRootDirs(fullPath, path.join(relativePath, entry.name)));
                             }
+                        } else if (entry.isFile() && formatRootFiles.includes(entry.name)) {
+                            formatDirs.push(fullPath);
                         }
                     }
                 } catch (error) {
                     console.log(`[DEBUG]  Error reading directory ${dir}:`, error.message);
                 }
                 
-                return cursorTestDirs;
+                return formatDirs;
             }
             
-            const cursorTestDirs = findCursorTestDirs(projectTypeDir);
+            const formatDirs = findFormatRootDirs(projectTypeDir);
             
-            if (cursorTestDirs.length === 0) {
-                console.log(`[DEBUG]  No .cursor directories found in ${projectTypeDir}`);
+            if (formatDirs.length === 0) {
+                console.log(`[DEBUG]  No ${formatRootDirs.join('/')} directories found in ${projectTypeDir}`);
                 continue;
             }
             
-            console.log(`[DEBUG]  Found .cursor directories:`, cursorTestDirs);
+            console.log(`[DEBUG]  Found rule directories:`, formatDirs);
             
-            // Copy each .cursor directory to its appropriate location
-            for (const cursorTestDir of cursorTestDirs) {
-                const relativePath = getTargetPathFromProjectType(cursorTestDir, projectTypeDir);
+            // Copy each rule directory to its appropriate location
+            for (const formatDir of formatDirs) {
+                const relativePath = getTargetPathFromProjectType(formatDir, projectTypeDir);
                 const targetPath = path.join(effectiveTargetBaseDir, relativePath);
                 
                 console.log(`[DEBUG]  Relative path from project type: ${relativePath}`);
                 console.log(`[DEBUG]  Final target path: ${targetPath}`);
-                console.log(`[DEBUG]  Copying .cursor directory from ${cursorTestDir} to ${targetPath}`);
-                copyDir(cursorTestDir, targetPath);
+                console.log(`[DEBUG]  Copying ${path.basename(formatDir)} from ${formatDir} to ${targetPath}`);
+                if (fs.statSync(formatDir).isFile()) {
+                    copyFile(formatDir, targetPath);
+                } else {
+                    copyDir(formatDir, targetPath);
+                }
                 totalFilesCopied++;
             }
         }
@@ -182,13 +232,24 @@ async function main() {
         if (totalFilesCopied === 0) {
             console.log(`No rules found for repository ${targetRepo} with project types: ${targetProjectTypes.join(', ')}`);
         } else {
-            console.log(`Successfully copied rules for repository: ${targetRepo} (${totalFilesCopied} .cursor directories)`);
+            console.log(`Successfully copied rules for repository: ${targetRepo} (${totalFilesCopied} rule directories)`);
         }
         
         console.log(`\n=== Summary ===`);
         console.log(`Repository: ${targetRepo}`);
         console.log(`Project types: ${targetProjectTypes.join(', ')}`);
-        console.log(`Rules copied: ${totalFilesCopied} .cursor directories`);
+        console.log(`Output formats: ${targetFormats.join(', ')}`);
+        console.log(`Rules copied: ${totalFilesCopied} rule directories`);
+
+        if (reportPath) {
+            fs.writeFileSync(reportPath, JSON.stringify({
+                repo: targetRepo,
+                basePath: repoBasePath,
+                projectTypes: targetProjectTypes,
+                formats: targetFormats,
+                removals: ruleCleanupHandler.removals
+            }, null, 2) + '\n');
+        }
         
     } catch (error) {
         console.error('Error during rule copy/cleanup process:', error);
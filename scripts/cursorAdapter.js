@@ -0,0 +1,42 @@
+const path = require('path');
+const OutputAdapter = require('./outputAdapter');
+const LinkResolver = require('./linkResolver');
+
+// Default output format: `.cursor/rules/**/*.mdc`
+class CursorAdapter extends OutputAdapter {
+    constructor() {
+        super({ name: 'cursor', rootDir: '.cursor', rulesDir: 'rules', extension: '.mdc' });
+    }
+
+    buildFrontmatter(rule) {
+        // Create frontmatter based on rule type
+        const frontmatter = super.buildFrontmatter(rule);
+        
+        switch(rule.effectiveConfig.type) {
+            case 'always':
+                frontmatter.alwaysApply = true;
+                break;
+            case 'auto_attached':
+                frontmatter.globs = rule.effectiveConfig.globs || '';
+                frontmatter.alwaysApply = false;
+                break;
+            case 'agent_requested':
+                frontmatter.description = rule.description;
+                frontmatter.alwaysApply = false;
+                break;
+            case 'manual':
+                frontmatter.alwaysApply = false;
+                break;
+        }
+
+        return frontmatter;
+    }
+
+    formatRuleReference(text, fromFile, toFile, targetRule) {
+        // Cursor pulls `@file` references from the workspace root into the context. The
+        // repository base path is only known when the rules are copied into a repository.
+        return `${text} (@${LinkResolver.BASE_PATH_PLACEHOLDER}${toFile.split(path.sep).join('/')})`;
+    }
+}
+
+module.exports = CursorAdapter;
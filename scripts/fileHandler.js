@@ -1,7 +1,12 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const matter = require('gray-matter');
 const ConfigParser = require('./configParser');
+const ManagedBlockHandler = require('./managedBlockHandler');
+const MarkdownParser = require('./markdownParser');
+const OutputAdapter = require('./outputAdapter');
+const OutputAdapterRegistry = require('./outputAdapterRegistry');
 const { log } = require('./utils');
 
 class FileHandler {
@@ -11,20 +16,92 @@ class FileHandler {
     }
 
     static async writeRuleFiles(rules, config, sectionNames) {
-        // Write index file
-        await this.writeJsonFile('ai_rules.json', { rules });
+        const adapterRegistry = config.adapterRegistry || new OutputAdapterRegistry();
+        const adapters = (config.formats || OutputAdapterRegistry.DEFAULT_FORMATS).map(format => adapterRegistry.get(format));
+        const output = this.createOutput();
+        const writeConfig = { ...config, adapters, output };
 
         // Write individual rule files
         for (const rule of rules) {
             log('rule config:', rule.config);
-            // Use effectiveConfig if available (for table of contents rules), otherwise use regular config
-            const ruleConfig = rule.effectiveConfig || rule.config || {};
-            await this.writeNestedRules(rule.name, {
-                config: ruleConfig,
-                content: rule.content,
-                sections: rule.sections
-            }, null, config, [], sectionNames);  // Pass sectionNames separately
+            await this.writeNestedRules(rule.name, rule, writeConfig, [], sectionNames);  // Pass sectionNames separately
         }
+
+        // Formats rendered from the whole rule hierarchy (AGENTS.md, CLAUDE.md)
+        for (const adapter of adapters) {
+            await adapter.writeRuleTree(rules, output, writeConfig);
+        }
+
+        await output.flush();
+
+        // Manifest of the generated files
+        await this.writeJsonFile('ai_rules.json', {
+            commit: config.docsCommit || null,
+            files: output.getManifest()
+        });
+    }
+
+    /**
+     * Output collector handed to adapters. Paths are relative to the generation root.
+     * Parts added to the same shared file (e.g. copilot-instructions.md) are collected
+     * and written as one managed block when flushed. Every written file is recorded,
+     * with the rules it contains, for the ai_rules.json manifest.
+     * @returns {object} Collector with writeFile, addBlockPart, flush and getManifest
+     */
+    static createOutput() {
+        const blockFiles = new Map();
+        const files = new Map();  // Written path to { generatedHash, rules }
+        const record = async (filePath, content, rules) => {
+            await this.writeMdcFile(path.join(process.cwd(), filePath), content);
+            files.set(filePath, {
+                generatedHash: `sha256:${crypto.createHash('sha256').update(content).digest('hex')}`,
+                rules: rules.filter(Boolean)
+            });
+        };
+
+        return {
+            writeFile: (filePath, content, rule = null) => record(filePath, content, [rule]),
+            addBlockPart: (filePath, projectType, part, rule = null) => {
+                if (!blockFiles.has(filePath)) {
+                    blockFiles.set(filePath, { projectType, parts: [], rules: [] });
+                }
+                blockFiles.get(filePath).parts.push(part);
+                blockFiles.get(filePath).rules.push(rule);
+            },
+            flush: async () => {
+                for (const [filePath, { projectType, parts, rules }] of blockFiles) {
+                    await record(filePath, ManagedBlockHandler.wrapBlock(projectType, parts.join('\n\n')), rules);
+                }
+            },
+            getManifest: () => Array.from(files, ([filePath, { generatedHash, rules }]) => this.getManifestEntry(filePath, generatedHash, rules))
+                .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0))
+        };
+    }
+
+    /**
+     * Manifest entry of a generated file
+     * @param {string} filePath - Path relative to the generation root (starting with the project type)
+     * @param {string} generatedHash - Hash of the generated content, before the per-repository changes of the copy
+     * @param {Array} rules - Rules written to the file
+     * @returns {object} { path, projectTypes, rules: [{ name, id, type, source }], generatedHash }
+     */
+    static getManifestEntry(filePath, generatedHash, rules) {
+        const projectTypes = rules.length > 0
+            ? [...new Set(rules.map(rule => rule.projectType))]
+            : [filePath.split(path.sep)[0]];
+        return {
+            path: filePath.split(path.sep).join('/'),
+            projectTypes: projectTypes.sort(),
+            rules: rules.map(rule => ({
+                name: rule.name,
+                id: rule.fileName,
+                type: rule.effectiveConfig.type,
+                source: rule.source && rule.source.location
+                    ? `${rule.source.location.file}:${rule.source.location.startLine}-${rule.source.location.endLine}`
+                    : null
+            })),
+            generatedHash
+        };
     }
 
     static generateDescription(name, sectionPath, sectionNames, description, parentDescription = '') {
@@ -54,15 +131,14 @@ class FileHandler {
         return finalDescription;
     }
 
-    static async writeNestedRules(sectionName, section, parentConfig, config, sectionPath, sectionNames, parentDescription = '') {
-        log('Parent config:', parentConfig);
+    static async writeNestedRules(sectionName, section, config, sectionPath, sectionNames, parentDescription = '') {
         log('Writing nested rules for:', sectionName, 'with config:', section.config);
 
-        // Format the filename while keeping original name for display
-        const formattedFileName = ConfigParser.formatTitle(sectionName);
+        // File name from the section id (explicit id="..." or slug of the title), keeping original name for display
+        const formattedFileName = section.id;
 
-        // Inherit from parent config, then apply section's own config
-        const effectiveConfig = ConfigParser.calculateEffectiveConfig(section, parentConfig, config);
+        // Computed by RuleGenerator (inheritance, file frontmatter and defaults), like every other reader of the rule
+        const { effectiveConfig } = section;
 
         // Skip processing this section and its subsections if type is "excluded"
         if (effectiveConfig.type === 'excluded') {
@@ -131,7 +207,6 @@ class FileHandler {
                 await this.writeNestedRules(
                     subsectionName,
                     innerSection,
-                    effectiveConfig,
                     config,
                     newSectionPath,
                     sectionNames,
@@ -142,88 +217,120 @@ class FileHandler {
     }
 
     static async writeRuleForProjectType(sectionName, section, effectiveConfig, config, sectionPath, sectionNames, parentDescription, projectType, formattedFileName) {
-        // Build the rule path based on section hierarchy
-        const isTopLevel = sectionPath.length === 0;
-        const rulesPath = isTopLevel ? 
-            path.join('.cursor', 'rules') :
-            path.join('.cursor', 'rules', ...sectionPath.map(ConfigParser.formatTitle));
-
-        // New structure: /tmp/ai-rules/projectType/basePath/rulePath/.cursor/rules/
+        // New structure: /tmp/ai-rules/projectType/basePath/rulePath/<format root>/rules/
         // All paths must be relative. Absolute paths are disallowed for security and clarity.
         if (path.isAbsolute(effectiveConfig.path)) {
             throw new Error(`[ERROR] ❗ Absolute paths are not allowed in the 'path' configuration. Please change "${effectiveConfig.path}" to a relative path.`);
         }
 
-        const rulePath = path.join(
-            process.cwd(),
-            projectType,
-            effectiveConfig.path,
-            rulesPath,
-            `${formattedFileName}.mdc`
-        );
-
-        // Create frontmatter based on rule type
-        const frontmatter = {
-            'ai-rules-project': projectType  // Add project type for cleanup identification
-        };
-        
-        switch(effectiveConfig.type) {
-            case 'always':
-                frontmatter.alwaysApply = true;
-                break;
-            case 'auto_attached':
-                frontmatter.globs = effectiveConfig.globs || '';
-                frontmatter.alwaysApply = false;
-                break;
-            case 'agent_requested':
-                // Generate description using parent's description
-                frontmatter.description = this.generateDescription(
-                    sectionName,
-                    sectionPath,
-                    sectionNames,
-                    effectiveConfig.description,
-                    parentDescription
-                );
-                frontmatter.alwaysApply = false;
-                break;
-            case 'manual':
-                frontmatter.alwaysApply = false;
-                break;
-        }
+        // Description shown to the agent for agent_requested rules
+        const description = effectiveConfig.type === 'agent_requested'
+            ? this.generateDescription(
+                sectionName,
+                sectionPath,
+                sectionNames,
+                effectiveConfig.description,
+                parentDescription
+            )
+            : null;
 
         // Build content including section references
         let content = [];
         
-        // Add main content if exists
+        // Add main content if exists, keeping the conditional blocks matching this project type
         if (section.content && section.content.length > 0) {
-            content.push(...section.content);
+            content.push(...MarkdownParser.resolveConditions(section.content.join('\n'), { projectType }).split('\n'));
         }
 
-        // Add section references where they belong
-        if (section.sections) {
-            for (const [subsectionName, innerSection] of Object.entries(section.sections)) {
-                content.push(`(subsection: '${subsectionName}')`);
+        const rule = {
+            name: sectionName,
+            fileName: formattedFileName,
+            sectionPath: section.parentIds,
+            projectType,
+            effectiveConfig,
+            description,
+            content,
+            source: section.source,
+            provenance: OutputAdapter.getProvenance(section.source, config)
+        };
+
+        // Child rules written for this project type, referenced from this rule
+        const childEntries = Object.values(section.sections || {})
+            .filter(child => child.effectiveConfig.type !== 'excluded' &&
+                (child.effectiveConfig.projectTypes || []).includes(projectType))
+            .map(child => ({ name: child.name, id: child.id, parentIds: child.parentIds, effectiveConfig: child.effectiveConfig, depth: 0 }));
+
+        for (const adapter of config.adapters) {
+            // Only rules the format writes can be referenced
+            const adapterChildEntries = childEntries.filter(child => adapter.supportsRule(child));
+            // Links to other documentation sections become references in this format
+            const adapterContent = config.linkResolver
+                ? config.linkResolver.rewriteRuleLinks(content.join('\n'), adapter, rule, config).split('\n')
+                : [...content];
+
+            if (section.tocEntries) {
+                adapterContent.push(...this.formatRuleLinks(section.tocEntries.filter(entry => adapter.supportsRule(entry)), adapter, rule, config, section.tocConfig));
+            } else if (adapterChildEntries.length > 0 && config.subsectionLinks !== 'none') {
+                adapterContent.push('', 'Subsection rules:', '');
+                adapterContent.push(...this.formatRuleLinks(adapterChildEntries, adapter, rule, config, {
+                    style: config.subsectionLinks,
+                    fields: ['title', 'link', 'description']
+                }));
             }
+
+            await adapter.writeRule({ ...rule, content: adapterContent }, config.output);
         }
+    }
 
-        // Combine frontmatter and content
-        const frontmatterEntries = Object.entries(frontmatter).map(([key, value]) => {
-            // Properly format values for YAML frontmatter
-            if (typeof value === 'boolean') {
-                return `${key}: ${value}`;
-            } else if (typeof value === 'string') {
-                return `${key}: "${value}"`;
-            } else {
-                return `${key}: ${value}`;
-            }
+    /**
+     * Reference other rules from a rule, as a (nested) list or a table, in the syntax of an output format
+     * @param {Array} entries - Referenced rules ({ name, id, parentIds, effectiveConfig, depth })
+     * @param {OutputAdapter} adapter - Output format
+     * @param {object} fromRule - Rule containing the references
+     * @param {object} config - Generation config
+     * @param {object} options - { style: 'list' or 'table', fields: any of 'title', 'type', 'description', 'link' }
+     * @returns {Array} Content lines
+     */
+    static formatRuleLinks(entries, adapter, fromRule, config, options = {}) {
+        const { style = 'list', fields = ['title', 'link', 'description'] } = options;
+        const escapeCell = text => text.replace(/\|/g, '\\|');
+        const fromFile = path.join(fromRule.effectiveConfig.path, adapter.getRuleFilePath(fromRule, config));
+
+        const rows = entries.map(entry => {
+            const targetRule = {
+                name: entry.name,
+                fileName: entry.id,
+                sectionPath: entry.parentIds,
+                projectType: fromRule.projectType,
+                effectiveConfig: entry.effectiveConfig
+            };
+            const toFile = path.join(entry.effectiveConfig.path, adapter.getRuleFilePath(targetRule, config));
+            // Without the title, the link shows the rule file
+            const text = fields.includes('title') ? entry.name : toFile.split(path.sep).join('/');
+            const { type, description, globs } = entry.effectiveConfig;
+
+            return {
+                depth: entry.depth,
+                rule: fields.includes('link') ? adapter.formatRuleReference(text, fromFile, toFile, targetRule) : text,
+                type: fields.includes('type') ? type : '',
+                // What makes the agent load the rule
+                description: fields.includes('description')
+                    ? (description || (type === 'auto_attached' && globs ? `globs: ${globs}` : ''))
+                    : ''
+            };
         });
-        
-        const fileContent = `---
-${frontmatterEntries.join('\n')}
----
-${content.join('\n')}`;
 
-        await this.writeMdcFile(rulePath, fileContent);
+        if (style === 'table') {
+            const columns = [['rule', 'Rule'], ['type', 'Type'], ['description', 'Description']]
+                .filter(([key]) => key === 'rule' || fields.includes(key));
+            return [
+                `| ${columns.map(([, header]) => header).join(' | ')} |`,
+                `|${columns.map(() => '------').join('|')}|`,
+                ...rows.map(row => `| ${columns.map(([key]) => escapeCell(row[key])).join(' | ')} |`)
+            ];
+        }
+        return rows.map(row =>
+            `${'  '.repeat(row.depth)}- ${row.rule}${row.type ? ` (${row.type})` : ''}${row.description ? `: ${row.description}` : ''}`);
     }
 
     static async writeJsonFile(filePath, content) {
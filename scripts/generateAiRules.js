@@ -1,6 +1,8 @@
 const RuleGenerator = require('./ruleGenerator');
-const FileHandler = require('./fileHandler');
-const yaml = require('js-yaml');
+const OutputAdapterRegistry = require('./outputAdapterRegistry');
+const BranchStrategyHandler = require('./branchStrategyHandler');
+const TokenBudget = require('./tokenBudget');
+const ConfigLoader = require('./configLoader');
 const fs = require('fs');
 
 async function main() {
@@ -9,18 +11,11 @@ async function main() {
     console.log('Starting rule generation...');
     console.log('- Config path:', configPath);
     
-    // Check if config path exists
-    if (!fs.existsSync(configPath)) {
-        console.error(`[ERROR] ❗  Config file does not exist: ${configPath}`);
-        process.exit(1);
-    }
-    
-    // Load config from YAML file
-    const config = yaml.load(fs.readFileSync(configPath, 'utf8'));
+    // Load config from YAML file, validated against ai-rules-config.schema.json
+    const config = ConfigLoader.load(configPath);
     console.log('Loaded config:', JSON.stringify(config, null, 2));
 
-    // Get docsPath from config, default to '.' if not specified
-    const docsPath = config.docsPath || '.';
+    const docsPath = config.docsPath;
     console.log('- Docs path:', docsPath);
     
     // Check if docs path exists
@@ -29,15 +24,27 @@ async function main() {
         process.exit(1);
     }
 
-    const generator = new RuleGenerator(docsPath, config);
+    // Built-in output formats plus the custom adapters listed under outputFormats
+    const adapterRegistry = OutputAdapterRegistry.fromConfig(config, configPath);
+
+    const generator = new RuleGenerator(docsPath, config, adapterRegistry);
     const rules = await generator.generateRules();
     
     console.log(`Generated ${rules.length} rules`);
+
+    // Links left as they are, collected while the documentation was read
+    (generator.linkResolver ? generator.linkResolver.brokenLinks : []).forEach(link => {
+        console.warn(`[WARNING] ⚠️ Broken link "${link.target}" at ${link.location}: ${link.reason}`);
+    });
+
+    // Context used per project type and target repo, checked against the token budgets
+    TokenBudget.check(rules, generator.config, new BranchStrategyHandler(configPath));
+
     await generator.writeRules(rules);
     
     console.log('Rules generated successfully!');
     console.log('- Index file: ai_rules.json');
-    console.log('- Rules directory: .cursor/rules/');
+    console.log('- Output formats:', generator.getOutputFormats().join(', '));
 }
 
 main().catch(error => {
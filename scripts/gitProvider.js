@@ -0,0 +1,169 @@
+const ApiClient = require('./apiClient');
+
+// `owner/repo`
+const REPO_PATTERN = /^[\w.-]+\/[\w.-]+$/;
+
+/**
+ * Base class for git hosting providers. A provider knows how a hosted repository (`owner/repo`
+ * in `exports`) is cloned with a token and how its pull requests (merge requests on GitLab) are
+ * found, opened and updated, so every branch strategy mode works the same on each host.
+ *
+ * Pull requests are returned as { number, url } whatever the provider calls them.
+ */
+class GitProvider {
+    /**
+     * @param {object} options - { type, url (web URL of the host), apiUrl, token, client (options of ApiClient) }
+     */
+    constructor(options = {}) {
+        this.type = options.type;
+        this.url = (options.url || '').replace(/\/+$/, '');
+        this.apiUrl = (options.apiUrl || '').replace(/\/+$/, '');
+        this.token = options.token || '';
+        this.clientOptions = options.client || {};
+    }
+
+    /**
+     * Name of the provider in messages
+     * @returns {string} Display name (e.g. 'GitLab')
+     */
+    get displayName() {
+        return this.type;
+    }
+
+    /**
+     * Whether a repository path can exist on this provider
+     * @param {string} repo - Repository path from `exports`
+     * @returns {boolean} True for `owner/repo`
+     */
+    isValidRepo(repo) {
+        return REPO_PATTERN.test(repo);
+    }
+
+    /**
+     * Web URL of the repository, without credentials (for logs and plans)
+     * @param {string} repo - Repository path (e.g. 'org/app')
+     * @returns {string} URL (e.g. 'https://github.com/org/app.git')
+     */
+    getRepositoryUrl(repo) {
+        return `${this.url}/${repo}.git`;
+    }
+
+    /**
+     * URL git clones and pushes with, the token included
+     * @param {string} repo - Repository path
+     * @returns {string} Clone URL
+     */
+    getCloneUrl(repo) {
+        const [scheme, host] = this.url.split('://');
+        return `${scheme}://${this.getCloneCredentials()}@${host}/${repo}.git`;
+    }
+
+    /**
+     * User info part of the clone URL
+     * @returns {string} Credentials (e.g. 'x-access-token:<token>')
+     */
+    getCloneCredentials() {
+        throw new Error(`[ERROR] ❗ ${this.displayName} provider does not implement getCloneCredentials`);
+    }
+
+    /**
+     * API client authenticated with the token
+     * @param {object} headers - Authentication and Accept headers of the provider
+     * @returns {ApiClient} Client
+     */
+    createClient(headers) {
+        return new ApiClient(this.apiUrl, headers, { name: this.displayName, ...this.clientOptions });
+    }
+
+    /**
+     * Short reference of a pull request in logs
+     * @param {object} pullRequest - { number, url }
+     * @returns {string} Reference (e.g. 'PR #12')
+     */
+    describePullRequest(pullRequest) {
+        return `PR #${pullRequest.number}`;
+    }
+
+    /**
+     * Fetch the repository, to check that the token has access to it
+     * @param {string} repo - Repository path
+     * @returns {Promise<object>} Repository
+     * @throws {Error} With the HTTP status in `status` when there is no access
+     */
+    async checkAccess(repo) {
+        throw new Error(`[ERROR] ❗ ${this.displayName} provider does not implement checkAccess`);
+    }
+
+    /**
+     * Open pull request from a branch of the repository itself
+     * @param {string} repo - Repository path
+     * @param {string} head - Head branch
+     * @returns {Promise<object|null>} { number, url }, or null when there is none
+     */
+    async findPullRequest(repo, head) {
+        throw new Error(`[ERROR] ❗ ${this.displayName} provider does not implement findPullRequest`);
+    }
+
+    /**
+     * Open a pull request
+     * @param {string} repo - Repository path
+     * @param {object} pullRequest - { title, body, head, base }
+     * @returns {Promise<object>} { number, url }
+     */
+    async createPullRequest(repo, pullRequest) {
+        throw new Error(`[ERROR] ❗ ${this.displayName} provider does not implement createPullRequest`);
+    }
+
+    /**
+     * Change the title and body of a pull request
+     * @param {string} repo - Repository path
+     * @param {number} number - Pull request number
+     * @param {object} changes - { title, body }
+     * @returns {Promise<object>} { number, url }
+     */
+    async updatePullRequest(repo, number, changes) {
+        throw new Error(`[ERROR] ❗ ${this.displayName} provider does not implement updatePullRequest`);
+    }
+
+    /**
+     * Close a pull request without merging it
+     * @param {string} repo - Repository path
+     * @param {number} number - Pull request number
+     * @returns {Promise<object>} { number, url }
+     */
+    async closePullRequest(repo, number) {
+        throw new Error(`[ERROR] ❗ ${this.displayName} provider does not implement closePullRequest`);
+    }
+
+    /**
+     * Delete a branch. Whether its open pull requests are closed depends on the host (GitHub closes
+     * them, GitLab keeps merge requests open), so callers close them first with closePullRequest.
+     * @param {string} repo - Repository path
+     * @param {string} branch - Branch name
+     * @returns {Promise<boolean>} False when the branch did not exist
+     */
+    async deleteBranch(repo, branch) {
+        throw new Error(`[ERROR] ❗ ${this.displayName} provider does not implement deleteBranch`);
+    }
+
+    /**
+     * Run a request whose 404 means "nothing there"
+     * @param {Promise} request - API request
+     * @returns {Promise<boolean>} False on 404
+     */
+    static async ignoreNotFound(request) {
+        try {
+            await request;
+            return true;
+        } catch (error) {
+            if (error.status === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+GitProvider.REPO_PATTERN = REPO_PATTERN;
+
+module.exports = GitProvider;
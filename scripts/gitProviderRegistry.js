@@ -0,0 +1,50 @@
+const GitHubProvider = require('./githubProvider');
+const GitLabProvider = require('./gitlabProvider');
+const GiteaProvider = require('./giteaProvider');
+
+const PROVIDERS = {
+    github: GitHubProvider,
+    gitlab: GitLabProvider,
+    gitea: GiteaProvider,
+    forgejo: GiteaProvider
+};
+
+/**
+ * Picks the git provider of a hosted repository from `repositoryProviders` in ai-rules-config.yml:
+ * the entry of the repository, else the `default` entry, else GitHub.
+ */
+class GitProviderRegistry {
+    /**
+     * Provider settings of a repository
+     * @param {string} repo - Repository path from `exports` (e.g. 'group/app')
+     * @param {object} providers - `repositoryProviders` of the config
+     * @returns {object} { type, url, apiUrl }
+     */
+    static getProviderConfig(repo, providers = {}) {
+        return (providers || {})[repo] || (providers || {}).default || { type: 'github' };
+    }
+
+    /**
+     * Provider of a repository
+     * @param {string} repo - Repository path
+     * @param {object} providers - `repositoryProviders` of the config
+     * @param {string} token - Token of the repository
+     * @param {object} clientOptions - Options of its ApiClient (maxRetries, sleep)
+     * @returns {GitProvider} Provider
+     * @throws {Error} If the provider type is unknown or its settings are incomplete
+     */
+    static create(repo, providers = {}, token = '', clientOptions = {}) {
+        const config = this.getProviderConfig(repo, providers);
+        const Provider = PROVIDERS[config.type];
+        if (!Provider) {
+            throw new Error(`[ERROR] ❗ Unknown git provider "${config.type}" for ${repo}. Valid providers: ${Object.keys(PROVIDERS).join(', ')}`);
+        }
+        return new Provider({ ...config, token, client: clientOptions });
+    }
+
+    static types() {
+        return Object.keys(PROVIDERS);
+    }
+}
+
+module.exports = GitProviderRegistry;
@@ -0,0 +1,70 @@
+const GitProvider = require('./gitProvider');
+
+// Open pull requests scanned for the head branch (the list endpoint can't filter by head)
+const PAGE_SIZE = 50;
+const MAX_PAGES = 10;
+
+/**
+ * Gitea and Forgejo (same REST API v1). Self-hosted only, so the url of the instance is required.
+ */
+class GiteaProvider extends GitProvider {
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error(`[ERROR] ❗ ${options.type || 'gitea'} provider requires the url of the instance (e.g. https://gitea.example.com)`);
+        }
+        const url = options.url.replace(/\/+$/, '');
+        super({ ...options, type: options.type || 'gitea', url, apiUrl: options.apiUrl || `${url}/api/v1` });
+        this.client = this.createClient({ 'Authorization': `token ${this.token}` });
+    }
+
+    get displayName() {
+        return this.type === 'forgejo' ? 'Forgejo' : 'Gitea';
+    }
+
+    getCloneCredentials() {
+        // Gitea and Forgejo accept the token as user name
+        return encodeURIComponent(this.token);
+    }
+
+    checkAccess(repo) {
+        return this.client.request('GET', `/repos/${repo}`);
+    }
+
+    async findPullRequest(repo, head) {
+        for (let page = 1; page <= MAX_PAGES; page++) {
+            const pulls = await this.client.request('GET', `/repos/${repo}/pulls?state=open&limit=${PAGE_SIZE}&page=${page}`);
+            // Only branches of the repository itself, not of forks
+            const pull = pulls.find(candidate => candidate.head && candidate.head.ref === head &&
+                (!candidate.head.repo || candidate.head.repo.full_name === repo));
+            if (pull) {
+                return GiteaProvider.toPullRequest(pull);
+            }
+            if (pulls.length < PAGE_SIZE) {
+                break;
+            }
+        }
+        return null;
+    }
+
+    async createPullRequest(repo, { title, body, head, base }) {
+        return GiteaProvider.toPullRequest(await this.client.request('POST', `/repos/${repo}/pulls`, { title, body, head, base }));
+    }
+
+    async updatePullRequest(repo, number, { title, body }) {
+        return GiteaProvider.toPullRequest(await this.client.request('PATCH', `/repos/${repo}/pulls/${number}`, { title, body }));
+    }
+
+    async closePullRequest(repo, number) {
+        return GiteaProvider.toPullRequest(await this.client.request('PATCH', `/repos/${repo}/pulls/${number}`, { state: 'closed' }));
+    }
+
+    deleteBranch(repo, branch) {
+        return GitProvider.ignoreNotFound(this.client.request('DELETE', `/repos/${repo}/branches/${encodeURIComponent(branch)}`));
+    }
+
+    static toPullRequest(pull) {
+        return { number: pull.number, url: pull.html_url };
+    }
+}
+
+module.exports = GiteaProvider;
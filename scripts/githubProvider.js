@@ -0,0 +1,75 @@
+const GitProvider = require('./gitProvider');
+
+const DEFAULT_URL = 'https://github.com';
+const DEFAULT_API_URL = 'https://api.github.com';
+
+/**
+ * GitHub and GitHub Enterprise Server. Without a configured url, the server and API URLs come
+ * from the runner (GITHUB_SERVER_URL, GITHUB_API_URL), so the repositories of the instance
+ * running the action work out of the box.
+ */
+class GitHubProvider extends GitProvider {
+    constructor(options = {}) {
+        const url = (options.url || process.env.GITHUB_SERVER_URL || DEFAULT_URL).replace(/\/+$/, '');
+        super({ ...options, type: 'github', url, apiUrl: options.apiUrl || GitHubProvider.getApiUrl(options.url && url) });
+        this.client = this.createClient({
+            'Authorization': `token ${this.token}`,
+            'Accept': 'application/vnd.github.v3+json'
+        });
+    }
+
+    get displayName() {
+        return 'GitHub';
+    }
+
+    getCloneCredentials() {
+        return `x-access-token:${encodeURIComponent(this.token)}`;
+    }
+
+    checkAccess(repo) {
+        return this.client.request('GET', `/repos/${repo}`);
+    }
+
+    async findPullRequest(repo, head) {
+        const headRef = encodeURIComponent(`${repo.split('/')[0]}:${head}`);
+        const pulls = await this.client.request('GET', `/repos/${repo}/pulls?head=${headRef}&state=open`);
+        return pulls.length > 0 ? GitHubProvider.toPullRequest(pulls[0]) : null;
+    }
+
+    async createPullRequest(repo, { title, body, head, base }) {
+        return GitHubProvider.toPullRequest(await this.client.request('POST', `/repos/${repo}/pulls`, { title, body, head, base }));
+    }
+
+    async updatePullRequest(repo, number, { title, body }) {
+        return GitHubProvider.toPullRequest(await this.client.request('PATCH', `/repos/${repo}/pulls/${number}`, { title, body }));
+    }
+
+    async closePullRequest(repo, number) {
+        return GitHubProvider.toPullRequest(await this.client.request('PATCH', `/repos/${repo}/pulls/${number}`, { state: 'closed' }));
+    }
+
+    deleteBranch(repo, branch) {
+        return GitProvider.ignoreNotFound(this.client.request('DELETE', `/repos/${repo}/git/refs/heads/${encodeURIComponent(branch)}`));
+    }
+
+    /**
+     * API URL of a GitHub server
+     * @param {string|null} url - Configured server URL, null for the one running the action
+     * @returns {string} API URL (e.g. 'https://github.example.com/api/v3')
+     */
+    static getApiUrl(url) {
+        if (!url) {
+            return process.env.GITHUB_API_URL || DEFAULT_API_URL;
+        }
+        return url === DEFAULT_URL ? DEFAULT_API_URL : `${url}/api/v3`;
+    }
+
+    static toPullRequest(pull) {
+        return { number: pull.number, url: pull.html_url };
+    }
+}
+
+GitHubProvider.DEFAULT_URL = DEFAULT_URL;
+GitHubProvider.DEFAULT_API_URL = DEFAULT_API_URL;
+
+module.exports = GitHubProvider;
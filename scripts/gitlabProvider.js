@@ -0,0 +1,86 @@
+const GitProvider = require('./gitProvider');
+
+const DEFAULT_URL = 'https://gitlab.com';
+// `group/project`, with any number of subgroups
+const PROJECT_PATTERN = /^[\w.-]+(\/[\w.-]+)+$/;
+
+/**
+ * GitLab (gitlab.com or self-managed) through the REST API v4. Pull requests are merge requests,
+ * identified by their project-level iid (`!12`), and projects may sit in subgroups
+ * (`group/subgroup/project`). Works with personal, group and project access tokens.
+ */
+class GitLabProvider extends GitProvider {
+    constructor(options = {}) {
+        const url = (options.url || DEFAULT_URL).replace(/\/+$/, '');
+        super({ ...options, type: 'gitlab', url, apiUrl: options.apiUrl || `${url}/api/v4` });
+        this.client = this.createClient({ 'Authorization': `Bearer ${this.token}` });
+    }
+
+    get displayName() {
+        return 'GitLab';
+    }
+
+    isValidRepo(repo) {
+        return PROJECT_PATTERN.test(repo);
+    }
+
+    getCloneCredentials() {
+        return `oauth2:${encodeURIComponent(this.token)}`;
+    }
+
+    describePullRequest(pullRequest) {
+        return `MR !${pullRequest.number}`;
+    }
+
+    /**
+     * API path of a project, its full path URL-encoded as the id
+     * @param {string} repo - Project path (e.g. 'group/subgroup/app')
+     * @returns {string} Path (e.g. '/projects/group%2Fsubgroup%2Fapp')
+     */
+    getProjectPath(repo) {
+        return `/projects/${encodeURIComponent(repo)}`;
+    }
+
+    checkAccess(repo) {
+        return this.client.request('GET', this.getProjectPath(repo));
+    }
+
+    async findPullRequest(repo, head) {
+        const requests = await this.client.request('GET', `${this.getProjectPath(repo)}/merge_requests?state=opened&source_branch=${encodeURIComponent(head)}`);
+        return requests.length > 0 ? GitLabProvider.toPullRequest(requests[0]) : null;
+    }
+
+    async createPullRequest(repo, { title, body, head, base }) {
+        return GitLabProvider.toPullRequest(await this.client.request('POST', `${this.getProjectPath(repo)}/merge_requests`, {
+            title,
+            description: body,
+            source_branch: head,
+            target_branch: base
+        }));
+    }
+
+    async updatePullRequest(repo, number, { title, body }) {
+        return GitLabProvider.toPullRequest(await this.client.request('PUT', `${this.getProjectPath(repo)}/merge_requests/${number}`, {
+            title,
+            description: body
+        }));
+    }
+
+    async closePullRequest(repo, number) {
+        return GitLabProvider.toPullRequest(await this.client.request('PUT', `${this.getProjectPath(repo)}/merge_requests/${number}`, {
+            state_event: 'close'
+        }));
+    }
+
+    deleteBranch(repo, branch) {
+        return GitProvider.ignoreNotFound(this.client.request('DELETE', `${this.getProjectPath(repo)}/repository/branches/${encodeURIComponent(branch)}`));
+    }
+
+    static toPullRequest(mergeRequest) {
+        return { number: mergeRequest.iid, url: mergeRequest.web_url };
+    }
+}
+
+GitLabProvider.DEFAULT_URL = DEFAULT_URL;
+
+module.exports = GitLabProvider;
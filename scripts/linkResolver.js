@@ -0,0 +1,261 @@
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const matter = require('gray-matter');
+const MarkdownParser = require('./markdownParser');
+
+// Inline link or image: [text](target "title"), ![alt](target)
+const LINK_PATTERN = /(!?)\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(\s+"[^"]*")?\s*\)/g;
+// Link to a documentation section, turned into a rule reference when rules are written
+// (`ai-rules-link:<file>#<anchor>?link=<original link>`, the original being kept when no URL can be made)
+const DOC_LINK_SCHEME = 'ai-rules-link:';
+const DOC_LINK_PATTERN = /(!?)\[([^\]]*)\]\(ai-rules-link:([^)\s#?]*)(?:#([^)\s?]*))?(?:\?link=([^)\s]*))?(\s+"[^"]*")?\)/g;
+// Start of a rule reference path relative to the repository root, replaced by the base path of each target repository
+const BASE_PATH_PLACEHOLDER = 'ai-rules-base:';
+const BASE_PATH_PATTERN = /@ai-rules-base:/g;
+
+/**
+ * Rewrites relative links of the documentation so they keep working in target repositories.
+ *
+ * While parsing (rewriteLine), links are resolved relative to the file they are written in:
+ * links to markdown files of docsPath become `ai-rules-link:<file>#<anchor>` placeholders, other
+ * files and images become absolute URLs to the docs repository at the synced commit, and links
+ * to missing files or headings are reported as broken with their file and line.
+ *
+ * While writing (rewriteRuleLinks), placeholders pointing to a section that is a rule for the
+ * same project type become a rule reference of the output format (e.g. `@.cursor/rules/auth.mdc`),
+ * the others become URLs to the docs repository, or the original relative link without a repository URL.
+ */
+class LinkResolver {
+    constructor(options = {}) {
+        this.docsPath = options.docsPath || '.';
+        this.repoUrl = options.repoUrl ? options.repoUrl.replace(/\/+$/, '') : null;  // e.g. https://github.com/org/docs
+        this.ref = options.ref || null;  // Commit the URLs point to
+        this.anchors = new Map();  // File path to the anchors of its headings
+        this.targets = new Map();  // '<file>' and '<file>#<anchor>' to the rule generated from that section
+        this.brokenLinks = [];
+        this.missingUrlWarned = false;
+    }
+
+    /**
+     * Create a resolver for the docs repository being generated. The repository URL and commit
+     * default to the GitHub Actions environment, or the HEAD commit of the working directory.
+     * @param {object} config - Generation config (docsPath, docsRepoUrl, docsRepoRef)
+     * @returns {LinkResolver} Resolver
+     */
+    static fromConfig(config) {
+        return new LinkResolver({ docsPath: config.docsPath, repoUrl: this.getDocsRepoUrl(config), ref: this.getDocsRef(config) });
+    }
+
+    /**
+     * Web URL of the docs repository
+     * @param {object} config - Generation config (docsRepoUrl)
+     * @returns {string|null} docsRepoUrl, or the repository of the GitHub Actions run
+     */
+    static getDocsRepoUrl(config) {
+        return config.docsRepoUrl || (process.env.GITHUB_REPOSITORY
+            ? `${process.env.GITHUB_SERVER_URL || 'https://github.com'}/${process.env.GITHUB_REPOSITORY}`
+            : null);
+    }
+
+    /**
+     * Commit of the docs repository being generated
+     * @param {object} config - Generation config (docsRepoRef)
+     * @returns {string|null} docsRepoRef, the commit of the GitHub Actions run, or the HEAD commit
+     */
+    static getDocsRef(config) {
+        return config.docsRepoRef || process.env.GITHUB_SHA || this.getHeadCommit();
+    }
+
+    static getHeadCommit() {
+        try {
+            return execSync('git rev-parse HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * GitHub-style anchor of a heading
+     * @param {string} title - Heading text
+     * @returns {string} Anchor (e.g. 'Error Handling!' → 'error-handling')
+     */
+    static slugify(title) {
+        return title
+            .trim()
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+            .replace(/\s/g, '-');
+    }
+
+    /**
+     * Anchors of all headings of a markdown file, numbered like GitHub does for repeated headings
+     * @param {string} filePath - Markdown file
+     * @returns {Set} Anchors
+     */
+    getAnchors(filePath) {
+        if (!this.anchors.has(filePath)) {
+            const { content } = matter(fs.readFileSync(filePath, 'utf8'));
+            const anchors = new Set();
+            const counts = new Map();
+            MarkdownParser.classifyLines(content).headings.forEach(heading => {
+                const slug = LinkResolver.slugify(heading.title);
+                const count = counts.get(slug) || 0;
+                anchors.add(count === 0 ? slug : `${slug}-${count}`);
+                counts.set(slug, count + 1);
+            });
+            this.anchors.set(filePath, anchors);
+        }
+        return this.anchors.get(filePath);
+    }
+
+    /**
+     * Rewrite the relative links of a documentation line
+     * @param {string} line - Source line (outside of code blocks)
+     * @param {string} filePath - File the line was written in
+     * @param {string} location - File and line, for broken link reports
+     * @returns {string} Line with rewritten links
+     */
+    rewriteLine(line, filePath, location) {
+        return line.replace(LINK_PATTERN, (match, image, text, target, title = '', offset) => {
+            // Inside an inline code span, or not a relative link (https:, mailto:, //host, #anchor in the rule itself)
+            const insideCode = (line.slice(0, offset).match(/`/g) || []).length % 2 === 1;
+            if (insideCode || /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(target) || target.startsWith(DOC_LINK_SCHEME)) {
+                return match;
+            }
+
+            const [targetPath, anchor] = target.split('#');
+            let resolvedPath;
+            try {
+                resolvedPath = !targetPath
+                    ? path.resolve(filePath)
+                    : targetPath.startsWith('/')
+                        ? path.resolve('.' + decodeURI(targetPath))  // Relative to the docs repository root
+                        : path.resolve(path.dirname(filePath), decodeURI(targetPath));
+            } catch (error) {
+                this.reportBrokenLink(target, location, 'invalid path');
+                return match;
+            }
+
+            const repoPath = path.relative(process.cwd(), resolvedPath);
+            if (repoPath.startsWith('..') || !fs.existsSync(resolvedPath)) {
+                this.reportBrokenLink(target, location, 'file not found');
+                return match;
+            }
+
+            const isMarkdown = /\.mdx?$/.test(resolvedPath) && fs.statSync(resolvedPath).isFile();
+            if (isMarkdown && anchor && !this.getAnchors(resolvedPath).has(anchor.toLowerCase())) {
+                this.reportBrokenLink(target, location, `no heading for #${anchor}`);
+                return match;
+            }
+
+            const docPath = path.relative(path.resolve(this.docsPath), resolvedPath);
+            if (isMarkdown && !image && !docPath.startsWith('..')) {
+                const docTarget = docPath.split(path.sep).join('/') + (anchor ? `#${anchor.toLowerCase()}` : '');
+                return `[${text}](${DOC_LINK_SCHEME}${docTarget}?link=${encodeURIComponent(target)}${title})`;
+            }
+
+            const url = this.getUrl(repoPath, anchor, { image: Boolean(image), directory: fs.statSync(resolvedPath).isDirectory() });
+            return url ? `${image}[${text}](${url}${title})` : match;
+        });
+    }
+
+    /**
+     * Absolute URL of a file of the docs repository at the synced commit
+     * @param {string} repoPath - Path relative to the repository root
+     * @param {string} anchor - Optional anchor
+     * @param {object} options - { image (raw file URL), directory }
+     * @returns {string|null} URL, or null when the repository URL or commit is unknown
+     */
+    getUrl(repoPath, anchor, options = {}) {
+        if (!this.repoUrl || !this.ref) {
+            if (!this.missingUrlWarned) {
+                console.warn('[WARNING] ⚠️ Docs repository URL or commit unknown, relative links are kept as they are. Set docsRepoUrl (and docsRepoRef) in the config.');
+                this.missingUrlWarned = true;
+            }
+            return null;
+        }
+
+        const kind = options.image ? 'raw' : (options.directory ? 'tree' : 'blob');
+        const encodedPath = repoPath.split(path.sep).map(encodeURIComponent).join('/');
+        return `${this.repoUrl}/${kind}/${this.ref}/${encodedPath}${anchor ? `#${anchor}` : ''}`;
+    }
+
+    reportBrokenLink(target, location, reason) {
+        this.brokenLinks.push({ target, location, reason });
+    }
+
+    /**
+     * Index the generated rules by the documentation section they come from
+     * @param {Array} rules - Rule hierarchy (rules have source: { file, anchor })
+     */
+    setRules(rules) {
+        this.targets.clear();
+        const visit = (rule, isTopLevel) => {
+            if (rule.effectiveConfig.type === 'excluded' || !rule.source) {
+                return;
+            }
+            const sectionKey = `${rule.source.file}#${rule.source.anchor}`;
+            if (!this.targets.has(sectionKey)) {
+                this.targets.set(sectionKey, rule);
+            }
+            // A link to the file itself points to its first top-level section
+            if (isTopLevel && !this.targets.has(rule.source.file)) {
+                this.targets.set(rule.source.file, rule);
+            }
+            Object.values(rule.sections || {}).forEach(subRule => visit(subRule, false));
+        };
+        rules.filter(rule => !rule.tableOfContents).forEach(rule => visit(rule, true));
+    }
+
+    /**
+     * Turn the documentation link placeholders of a rule into references for an output format
+     * @param {string} content - Rule content
+     * @param {OutputAdapter} adapter - Output format the content is written for
+     * @param {object} rule - Rule being written (projectType, effectiveConfig, fileName, sectionPath, ...)
+     * @param {object} config - Generation config
+     * @returns {string} Content with rule references and docs URLs
+     */
+    rewriteRuleLinks(content, adapter, rule, config = {}) {
+        return content.replace(DOC_LINK_PATTERN, (match, image, text, docPath, anchor, link, title = '') => {
+            const target = this.targets.get(anchor ? `${docPath}#${anchor}` : docPath);
+            if (target && (target.effectiveConfig.projectTypes || []).includes(rule.projectType) &&
+                adapter.supportsRule(target)) {
+                const targetRule = {
+                    name: target.name,
+                    fileName: target.id,
+                    sectionPath: target.parentIds,
+                    projectType: rule.projectType,
+                    effectiveConfig: target.effectiveConfig
+                };
+                const fromFile = path.join(rule.effectiveConfig.path, adapter.getRuleFilePath(rule, config));
+                const toFile = path.join(target.effectiveConfig.path, adapter.getRuleFilePath(targetRule, config));
+                return adapter.formatRuleReference(text, fromFile, toFile, targetRule);
+            }
+
+            // Not a rule for this project type or format: link to the documentation instead
+            const repoPath = path.relative(process.cwd(), path.resolve(this.docsPath, docPath));
+            const url = this.getUrl(repoPath, anchor);
+            if (url) {
+                return `[${text}](${url}${title})`;
+            }
+            // As written in the documentation, like the other relative links without a repository URL
+            return link ? `[${text}](${decodeURIComponent(link)}${title})` : text;
+        });
+    }
+
+    /**
+     * Prefix the rule references of a copied rule with the base path of the target repository
+     * @param {string} content - Rule content
+     * @param {string} basePath - Base path of the repository ('' for the root)
+     * @returns {string} Content with the base path placeholders replaced
+     */
+    static resolveBasePath(content, basePath) {
+        const prefix = basePath ? `${basePath.replace(/\/+$/, '')}/` : '';
+        return content.replace(BASE_PATH_PATTERN, () => `@${prefix}`);
+    }
+}
+
+LinkResolver.BASE_PATH_PLACEHOLDER = BASE_PATH_PLACEHOLDER;
+
+module.exports = LinkResolver;
@@ -0,0 +1,75 @@
+const RuleLinter = require('./ruleLinter');
+const OutputAdapterRegistry = require('./outputAdapterRegistry');
+const ConfigLoader = require('./configLoader');
+const fs = require('fs');
+
+const FORMATTERS = {
+    text: findings => RuleLinter.formatText(findings),
+    json: findings => RuleLinter.formatJson(findings),
+    sarif: findings => RuleLinter.formatSarif(findings)
+};
+
+/**
+ * Usage: node lintAiRules.js [config path] [--format text|json|sarif] [--output file] [--fail-on error|warning|note|none]
+ * Exits with 1 when a finding is at least as severe as --fail-on (default: error).
+ */
+function parseArgs(args) {
+    const options = { configPath: '.github/ai-rules-config.yml', format: 'text', output: null, failOn: 'error' };
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--format': options.format = args[++i]; break;
+            case '--output': options.output = args[++i]; break;
+            case '--fail-on': options.failOn = args[++i]; break;
+            default:
+                if (args[i].startsWith('--')) {
+                    throw new Error(`[ERROR] ❗ Unknown option: ${args[i]}`);
+                }
+                options.configPath = args[i];
+        }
+    }
+    if (!FORMATTERS[options.format]) {
+        throw new Error(`[ERROR] ❗ Unknown format: ${options.format}. Must be one of: ${Object.keys(FORMATTERS).join(', ')}`);
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const config = ConfigLoader.load(options.configPath);
+    const docsPath = config.docsPath;
+    if (!fs.existsSync(docsPath)) {
+        console.error(`[ERROR] ❗  Documentation path does not exist: ${docsPath}`);
+        process.exit(1);
+    }
+
+    // Messages of the generator go to stderr, so stdout only holds the report
+    const { log, warn } = console;
+    console.log = console.error;
+    console.warn = console.error;
+    let findings;
+    try {
+        const linter = new RuleLinter(docsPath, config, OutputAdapterRegistry.fromConfig(config, options.configPath));
+        findings = await linter.lint();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+
+    const report = FORMATTERS[options.format](findings);
+    if (options.output) {
+        fs.writeFileSync(options.output, report + '\n');
+        console.log(RuleLinter.formatText(findings));
+        console.log(`- Report: ${options.output}`);
+    } else {
+        console.log(report);
+    }
+
+    if (RuleLinter.exceedsThreshold(findings, options.failOn)) {
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('Error linting rules:', error);
+    process.exit(1);
+});
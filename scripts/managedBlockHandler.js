@@ -0,0 +1,80 @@
+// Managed blocks mark the part of a shared file (e.g. .github/copilot-instructions.md)
+// that belongs to one project type, so several project types and hand-written content
+// can live in the same file:
+//
+// <!-- ai-rules-project:start react -->
+// ...generated content...
+// <!-- ai-rules-project:end react -->
+const BLOCK_PATTERN = /<!--\s*ai-rules-project:start\s+(\S+)\s*-->\n?([\s\S]*?)<!--\s*ai-rules-project:end\s+\1\s*-->\n?/g;
+
+class ManagedBlockHandler {
+    /**
+     * Wrap generated content in start/end markers for a project type
+     * @param {string} projectType - Project type owning the block
+     * @param {string} content - Generated content
+     * @returns {string} Content wrapped in managed block markers
+     */
+    static wrapBlock(projectType, content) {
+        return `<!-- ai-rules-project:start ${projectType} -->\n${content.replace(/\n*$/, '\n')}<!-- ai-rules-project:end ${projectType} -->\n`;
+    }
+
+    /**
+     * Find all managed blocks in a file content
+     * @param {string} text - File content
+     * @returns {Array} Array of {projectType, text, content, index} objects
+     */
+    static findBlocks(text) {
+        return Array.from(text.matchAll(BLOCK_PATTERN)).map(match => ({
+            projectType: match[1],
+            text: match[0],
+            content: match[2],
+            index: match.index
+        }));
+    }
+
+    static hasBlocks(text) {
+        return this.findBlocks(text).length > 0;
+    }
+
+    /**
+     * Insert or replace the managed blocks of a generated file into an existing file,
+     * keeping everything outside of the blocks untouched
+     * @param {string} existingText - Current content of the target file
+     * @param {string} generatedText - Generated content containing managed blocks
+     * @returns {string} Merged content
+     */
+    static mergeBlocks(existingText, generatedText) {
+        let merged = existingText;
+
+        for (const block of this.findBlocks(generatedText)) {
+            const existingBlock = this.findBlocks(merged).find(b => b.projectType === block.projectType);
+            if (existingBlock) {
+                merged = merged.slice(0, existingBlock.index) + block.text + merged.slice(existingBlock.index + existingBlock.text.length);
+            } else {
+                const separator = merged.trim() ? (merged.endsWith('\n') ? '\n' : '\n\n') : '';
+                merged = (merged.trim() ? merged : '') + separator + block.text;
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Remove the managed block of a project type from a file content
+     * @param {string} text - File content
+     * @param {string} projectType - Project type whose block should be removed
+     * @returns {string} Content without the block
+     */
+    static removeBlock(text, projectType) {
+        const block = this.findBlocks(text).find(b => b.projectType === projectType);
+        if (!block) {
+            return text;
+        }
+
+        const before = text.slice(0, block.index).replace(/\n+$/, '\n');
+        const after = text.slice(block.index + block.text.length).replace(/^\n+/, '');
+        return before.trim() ? before + (after ? `\n${after}` : '') : after;
+    }
+}
+
+module.exports = ManagedBlockHandler;
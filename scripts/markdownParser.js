@@ -1,44 +1,619 @@
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const MarkdownIt = require('markdown-it');
 const ConfigParser = require('./configParser');
 
+// Block-level markdown parser used to locate headings, code and HTML comments.
+// Content itself is always taken from the original source lines so formatting is kept.
+const markdown = new MarkdownIt({ html: true });
+
+// `<!-- ai-rules ... -->` configuration comment (but not `ai-rules-*` directives)
+const CONFIG_COMMENT_PATTERN = /<!--\s*ai-rules(?=\s|-->)([\s\S]*?)-->/g;
+const CONFIG_COMMENT_START = /<!--\s*ai-rules(?=\s|-->)/;
+// `<!-- ai-rules-include file="..." section="..." -->` directive
+const INCLUDE_COMMENT_PATTERN = /<!--\s*ai-rules-include(?=\s|-->)([\s\S]*?)-->/g;
+// `<!-- ai-rules-ignore-start -->` / `<!-- ai-rules-ignore-end -->` on their own line
+const IGNORE_MARKER_PATTERN = /^\s*<!--\s*ai-rules-ignore-(start|end)\s*-->\s*$/;
+// `<!-- ai-rules-only ... -->` comment holding content for the rules only
+const ONLY_COMMENT_START = /^\s*<!--\s*ai-rules-only(?=\s|-->)/;
+const ONLY_COMMENT_PATTERN = /^\s*<!--\s*ai-rules-only(?=\s|-->)([\s\S]*?)-->\s*$/;
+// `<!-- ai-rules-if ... -->` / `<!-- ai-rules-else -->` / `<!-- ai-rules-end -->` on their own line
+const CONDITION_MARKER_PATTERN = /^\s*<!--\s*ai-rules-(if|else|end)(?=\s|-->)([\s\S]*?)-->\s*$/;
+// Attributes an ai-rules-if condition can test, each with its accepted values (read like ai-rules attributes)
+const CONDITION_ATTRIBUTE_TYPES = { projectType: 'list', repo: 'list' };
+// Attributes of an ai-rules-include directive
+const INCLUDE_ATTRIBUTE_TYPES = { file: 'string', section: 'string' };
+
 class MarkdownParser {
-    static extractSections(content) {
+    /**
+     * Classify the source lines of a markdown document using its block-level AST:
+     * top-level headings (ATX with or without closing #s, and setext), HTML blocks
+     * made only of ai-rules comments, content markers and condition markers. Lines inside fenced or
+     * indented code are never classified, so `# comment` lines or ai-rules examples in code stay plain content.
+     * @param {string} content - Markdown content
+     * @returns {object} { headings, configBlocks, includes, markers, conditions, inlineConfigs } keyed by (start) line, and the codeLines line set
+     */
+    static classifyLines(content) {
+        const tokens = markdown.parse(content, {});
+        const lines = content.split('\n');
+        const headings = new Map();
+        const configBlocks = new Map();
+        const includes = new Map();
+        const markers = new Map();
+        const conditions = new Map();
+        const inlineConfigs = new Map();
+        const codeLines = new Set();
+
+        tokens.forEach((token, index) => {
+            // Code at any depth (e.g. fences inside list items)
+            if ((token.type === 'fence' || token.type === 'code_block') && token.map) {
+                for (let line = token.map[0]; line < token.map[1]; line++) {
+                    codeLines.add(line);
+                }
+            }
+
+            // Top-level blocks only, plus the inline content of top-level paragraphs
+            const isTopLevel = token.level === 0 ||
+                (token.type === 'inline' && tokens[index - 1].type === 'paragraph_open' && tokens[index - 1].level === 0);
+            if (!isTopLevel || !token.map) {
+                return;
+            }
+
+            const [startLine, endLine] = token.map;
+
+            if (token.type === 'heading_open') {
+                headings.set(startLine, {
+                    level: Number(token.tag.slice(1)),
+                    title: tokens[index + 1].content,
+                    endLine
+                });
+            } else if (token.type === 'html_block') {
+                const configs = Array.from(token.content.matchAll(CONFIG_COMMENT_PATTERN), match => ({
+                    attributes: match[1],
+                    line: startLine + token.content.slice(0, match.index).split('\n').length - 1
+                }));
+                if (configs.length > 0 && !token.content.replace(CONFIG_COMMENT_PATTERN, '').trim()) {
+                    configBlocks.set(startLine, { configs, endLine });
+                }
+                const directives = Array.from(token.content.matchAll(INCLUDE_COMMENT_PATTERN), match => match[1]);
+                if (directives.length > 0 && !token.content.replace(INCLUDE_COMMENT_PATTERN, '').trim()) {
+                    includes.set(startLine, { directives, endLine });
+                }
+
+                if (ONLY_COMMENT_START.test(token.content)) {
+                    const onlyMatch = token.content.match(ONLY_COMMENT_PATTERN);
+                    markers.set(startLine, { type: 'only', content: onlyMatch ? onlyMatch[1] : null, endLine });
+                } else {
+                    // Ignore markers may end up inside a larger HTML block (e.g. right after an <img> line)
+                    for (let line = startLine; line < endLine; line++) {
+                        const ignoreMatch = lines[line].match(IGNORE_MARKER_PATTERN);
+                        if (ignoreMatch) {
+                            markers.set(line, { type: `ignore-${ignoreMatch[1]}`, endLine: line + 1 });
+                        }
+                        const conditionMatch = lines[line].match(CONDITION_MARKER_PATTERN);
+                        if (conditionMatch) {
+                            conditions.set(line, { type: conditionMatch[1], attributes: conditionMatch[2].trim() });
+                        }
+                    }
+                }
+            } else if (token.type === 'inline') {
+                // Comments inside a paragraph are applied and removed from their line (but not those in inline code)
+                const hasConfig = (token.children || [])
+                    .some(child => child.type === 'html_inline' && CONFIG_COMMENT_START.test(child.content));
+                if (hasConfig) {
+                    const paragraph = lines.slice(startLine, endLine).join('\n');
+                    const codeSpans = this.findCodeSpans(paragraph);
+                    let lineStart = 0;
+                    paragraph.split('\n').forEach((text, offset) => {
+                        const configs = Array.from(text.matchAll(CONFIG_COMMENT_PATTERN))
+                            .filter(match => !codeSpans.some(([start, end]) => lineStart + match.index >= start && lineStart + match.index < end))
+                            .map(match => ({ attributes: match[1], start: match.index, end: match.index + match[0].length }));
+                        if (configs.length > 0) {
+                            inlineConfigs.set(startLine + offset, configs);
+                        }
+                        lineStart += text.length + 1;
+                    });
+                }
+            }
+        });
+
+        return { headings, configBlocks, includes, markers, conditions, inlineConfigs, codeLines };
+    }
+
+    /**
+     * Inline code spans of a paragraph: a backtick run up to the next run of the same length
+     * @param {string} text - Paragraph source
+     * @returns {Array} Array of [start, end) offsets
+     */
+    static findCodeSpans(text) {
+        const spans = [];
+        const runs = Array.from(text.matchAll(/\\[\s\S]|`+/g)).filter(match => match[0][0] === '`');
+        for (let i = 0; i < runs.length; i++) {
+            const close = runs.findIndex((run, j) => j > i && run[0].length === runs[i][0].length);
+            if (close !== -1) {
+                spans.push([runs[i].index, runs[close].index + runs[close][0].length]);
+                i = close;
+            }
+        }
+        return spans;
+    }
+
+    /**
+     * Find the `<!-- ai-rules-if ... -->` ... `<!-- ai-rules-else -->` ... `<!-- ai-rules-end -->`
+     * blocks of a content and check they are well formed (balanced, not nested, known conditions)
+     * @param {string} content - Markdown content
+     * @param {Function} locate - Formats a 0-based line for error messages
+     * @returns {Array} Array of {condition, ifLine, elseLine, endLine} objects
+     */
+    static findConditionalBlocks(content, locate = line => `line ${line + 1}`) {
+        const { conditions } = this.classifyLines(content);
+        const blocks = [];
+        let open = null;
+
+        conditions.forEach((marker, line) => {
+            if (marker.type === 'if') {
+                if (open) {
+                    throw new Error(`[ERROR] ❗ Nested ai-rules-if at ${locate(line)} (block opened at ${locate(open.ifLine)} is not closed). Nested conditions are not supported`);
+                }
+                open = { condition: this.parseCondition(marker.attributes, locate(line)), ifLine: line, elseLine: null };
+            } else if (!open) {
+                throw new Error(`[ERROR] ❗ ai-rules-${marker.type} without ai-rules-if at ${locate(line)}`);
+            } else if (marker.attributes) {
+                throw new Error(`[ERROR] ❗ ai-rules-${marker.type} takes no attributes at ${locate(line)}`);
+            } else if (marker.type === 'else') {
+                if (open.elseLine !== null) {
+                    throw new Error(`[ERROR] ❗ Second ai-rules-else at ${locate(line)} for the block opened at ${locate(open.ifLine)}`);
+                }
+                open.elseLine = line;
+            } else {
+                blocks.push({ ...open, endLine: line });
+                open = null;
+            }
+        });
+
+        if (open) {
+            throw new Error(`[ERROR] ❗ ai-rules-if at ${locate(open.ifLine)} has no matching ai-rules-end`);
+        }
+        return blocks;
+    }
+
+    /**
+     * Parse the attributes of an ai-rules-* directive, quoted and escaped as in ai-rules comments
+     * @param {string} directive - Directive name (e.g. 'ai-rules-include'), for error messages
+     * @param {string} attributes - Attribute string
+     * @param {object} attributeTypes - Attributes of the directive and their type
+     * @param {string} location - Location of the directive, for error messages
+     * @returns {object} Attribute values
+     * @throws {Error} If an attribute is unknown or malformed
+     */
+    static parseDirectiveAttributes(directive, attributes, attributeTypes, location) {
+        const { config, problems } = ConfigParser.readConfigAttributes(attributes, attributeTypes);
+        if (problems.length > 0) {
+            throw new Error(`[ERROR] ❗ ${problems[0].message} in ${directive} at ${location}`);
+        }
+        return config;
+    }
+
+    /**
+     * Parse the attributes of an ai-rules-if marker
+     * @param {string} attributes - Attribute string (e.g. 'projectType="react,vue" repo="org/app"')
+     * @param {string} location - Location of the marker, for error messages
+     * @returns {object} Condition: attribute to array of accepted values
+     */
+    static parseCondition(attributes, location) {
+        const condition = this.parseDirectiveAttributes('ai-rules-if', attributes, CONDITION_ATTRIBUTE_TYPES, location);
+        if (Object.keys(condition).length === 0) {
+            throw new Error(`[ERROR] ❗ ai-rules-if without condition at ${location}`);
+        }
+        return condition;
+    }
+
+    /**
+     * Keep the branch of each conditional block matching the context. A condition matches when
+     * every attribute matches one of its values. Blocks testing attributes missing from the context
+     * (e.g. `repo` while generating) are kept, reduced to those attributes, to be resolved later.
+     * @param {string} content - Markdown content
+     * @param {object} context - Values to test, e.g. { projectType: 'react' } or { repo: 'org/app' }
+     * @returns {string} Content without the resolved blocks
+     */
+    static resolveConditions(content, context) {
+        const blocks = this.findConditionalBlocks(content);
+        if (blocks.length === 0) {
+            return content;
+        }
+
+        const lines = content.split('\n');
+        const resolved = [];
+        let lineIndex = 0;
+        blocks.forEach(block => {
+            resolved.push(...lines.slice(lineIndex, block.ifLine));
+            const thenLines = lines.slice(block.ifLine + 1, block.elseLine ?? block.endLine);
+            const elseLines = block.elseLine !== null ? lines.slice(block.elseLine + 1, block.endLine) : [];
+            lineIndex = block.endLine + 1;
+
+            const remaining = {};
+            let matches = true;
+            Object.entries(block.condition).forEach(([key, values]) => {
+                if (context[key] === undefined) {
+                    remaining[key] = values;
+                } else if (!values.includes(context[key])) {
+                    matches = false;
+                }
+            });
+
+            if (matches && Object.keys(remaining).length > 0) {
+                const condition = Object.entries(remaining).map(([key, values]) => `${key}="${values.join(',')}"`).join(' ');
+                resolved.push(
+                    `<!-- ai-rules-if ${condition} -->`,
+                    ...thenLines,
+                    ...(block.elseLine !== null ? ['<!-- ai-rules-else -->', ...elseLines] : []),
+                    '<!-- ai-rules-end -->'
+                );
+                return;
+            }
+
+            const branch = matches ? thenLines : elseLines;
+            resolved.push(...branch);
+            // Avoid leaving two blank lines where an empty branch was
+            if (branch.length === 0 && resolved.length > 0 && !resolved[resolved.length - 1].trim() &&
+                lineIndex < lines.length && !lines[lineIndex].trim()) {
+                lineIndex++;
+            }
+        });
+        resolved.push(...lines.slice(lineIndex));
+
+        return resolved.join('\n');
+    }
+
+    /**
+     * Expand the directives changing the content of a file before its sections are extracted:
+     * - `<!-- ai-rules-ignore-start -->` ... `<!-- ai-rules-ignore-end -->` content is dropped
+     * - `<!-- ai-rules-only ... -->` comment content is kept as regular content
+     * - `<!-- ai-rules-include file="..." section="..." -->` is replaced by the included content.
+     *   The file is resolved relative to docsPath; without `section` the whole file (minus frontmatter)
+     *   is included, otherwise the body and subsections of the named heading. Included headings are
+     *   shifted so they nest below the section containing the directive.
+     * Relative links are rewritten by options.linkResolver while the file they are written in is known.
+     * @param {string} content - Markdown content (without frontmatter)
+     * @param {string} filePath - Path of the file the content comes from
+     * @param {object} options - { docsPath, lineOffset (line of content in filePath), chain (includes being expanded), linkResolver,
+     *   lineMap (array receiving the { file, line } each expanded line comes from) }
+     * @returns {Promise<string>} Content with all directives expanded
+     */
+    static async expandDirectives(content, filePath, options = {}) {
+        const { docsPath = '.', lineOffset = 0, chain = [], linkResolver = null, lineMap = null } = options;
+        const lines = content.split('\n');
+        const { headings, includes, markers, codeLines } = this.classifyLines(content);
+        const source = path.relative(docsPath, filePath);
+        const locate = line => `${source}:${lineOffset + line + 1}`;
+        // Original line, relative to the docs repository root
+        const repoFile = path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+        const mapLine = line => ({ file: repoFile, line: lineOffset + line + 1 });
+
+        // Conditional blocks are resolved per project type when rules are written, but are checked here
+        // where the file and line are known. A block can't span sections.
+        this.findConditionalBlocks(content, locate).forEach(block => {
+            for (const line of headings.keys()) {
+                if (line > block.ifLine && line < block.endLine) {
+                    throw new Error(`[ERROR] ❗ ai-rules-if at ${locate(block.ifLine)} contains a heading (${locate(line)}). Close it with ai-rules-end before the next section`);
+                }
+            }
+        });
+
+        if (includes.size === 0 && markers.size === 0 && !linkResolver) {
+            if (lineMap) {
+                lineMap.push(...lines.map((line, index) => mapLine(index)));
+            }
+            return content;
+        }
+
+        const rewriteLinks = (line, index) => (linkResolver && !codeLines.has(index)
+            ? linkResolver.rewriteLine(line, filePath, locate(index))
+            : line);
+
+        const expanded = [];
+        const emit = (line, index) => {
+            expanded.push(line);
+            if (lineMap) {
+                lineMap.push(mapLine(index));
+            }
+        };
+        let currentLevel = 0;
+        let ignoreStart = null;  // Location of the open ai-rules-ignore-start marker
+        let lineIndex = 0;
+        while (lineIndex < lines.length) {
+            const location = locate(lineIndex);
+            const marker = markers.get(lineIndex);
+
+            if (marker && marker.type === 'ignore-start') {
+                if (ignoreStart) {
+                    throw new Error(`[ERROR] ❗ Nested ai-rules-ignore-start at ${location} (already ignoring since ${ignoreStart})`);
+                }
+                ignoreStart = location;
+                lineIndex = marker.endLine;
+                continue;
+            }
+            if (marker && marker.type === 'ignore-end') {
+                if (!ignoreStart) {
+                    throw new Error(`[ERROR] ❗ ai-rules-ignore-end without ai-rules-ignore-start at ${location}`);
+                }
+                ignoreStart = null;
+                lineIndex = marker.endLine;
+                // Avoid leaving two blank lines where the ignored content was
+                while (lineIndex < lines.length && !lines[lineIndex].trim() &&
+                    expanded.length > 0 && !expanded[expanded.length - 1].trim()) {
+                    lineIndex++;
+                }
+                continue;
+            }
+            if (ignoreStart) {
+                lineIndex++;
+                continue;
+            }
+
+            if (marker && marker.type === 'only') {
+                if (marker.content === null) {
+                    throw new Error(`[ERROR] ❗ ai-rules-only block at ${location} must be closed by --> with nothing after it`);
+                }
+                const onlyLines = marker.content.split('\n');
+                let firstLine = lineIndex;
+                // Drop the rest of the opening line and the closing line when empty
+                if (!onlyLines[0].trim()) {
+                    onlyLines.shift();
+                    firstLine++;
+                } else {
+                    onlyLines[0] = onlyLines[0].trim();
+                }
+                if (onlyLines.length > 0 && !onlyLines[onlyLines.length - 1].trim()) {
+                    onlyLines.pop();
+                }
+                onlyLines.forEach((line, index) => emit(rewriteLinks(line, lineIndex), firstLine + index));
+                lineIndex = marker.endLine;
+                continue;
+            }
+
+            const heading = headings.get(lineIndex);
+            if (heading) {
+                currentLevel = heading.level;
+            }
+
+            const include = includes.get(lineIndex);
+            if (!include) {
+                emit(heading ? lines[lineIndex] : rewriteLinks(lines[lineIndex], lineIndex), lineIndex);
+                lineIndex++;
+                continue;
+            }
+
+            for (const directive of include.directives) {
+                const { file, section = null } = this.parseDirectiveAttributes('ai-rules-include', directive, INCLUDE_ATTRIBUTE_TYPES, location);
+                if (!file) {
+                    throw new Error(`[ERROR] ❗ ai-rules-include without file attribute at ${location}`);
+                }
+
+                const targetPath = path.resolve(docsPath, file);
+                const target = path.relative(docsPath, targetPath) + (section ? `#${section}` : '');
+
+                // The same file/section already being expanded higher up means the include never ends
+                const includeChain = [...chain, { key: target, location }];
+                if (chain.some(entry => entry.key === target)) {
+                    const cycle = includeChain.map(entry => entry.location).join(' → ');
+                    throw new Error(`[ERROR] ❗ Circular include of "${target}": ${cycle}`);
+                }
+
+                if (!fs.existsSync(targetPath)) {
+                    throw new Error(`[ERROR] ❗ Included file not found: ${file} (at ${location})`);
+                }
+                const targetFile = matter(await fs.promises.readFile(targetPath, 'utf8'));
+                const targetLineOffset = this.getFrontmatterLineCount(targetFile);
+                const snippet = section
+                    ? this.extractSectionLines(targetFile.content, section, location)
+                    : { lines: targetFile.content.split('\n'), startLine: 0, level: null };
+
+                const snippetLineMap = lineMap ? [] : null;
+                const snippetContent = await this.expandDirectives(snippet.lines.join('\n'), targetPath, {
+                    docsPath,
+                    lineOffset: targetLineOffset + snippet.startLine,
+                    chain: includeChain,
+                    linkResolver,
+                    lineMap: snippetLineMap
+                });
+                expanded.push(...this.shiftHeadings(snippetContent, currentLevel, snippet.level, snippetLineMap).split('\n'));
+                if (lineMap) {
+                    lineMap.push(...snippetLineMap);
+                }
+            }
+            lineIndex = include.endLine;
+        }
+
+        if (ignoreStart) {
+            throw new Error(`[ERROR] ❗ ai-rules-ignore-start at ${ignoreStart} has no matching ai-rules-ignore-end`);
+        }
+
+        return expanded.join('\n');
+    }
+
+    /**
+     * Every `<!-- ai-rules ... -->` comment outside of code, in blocks or inside paragraphs
+     * @param {string} content - Markdown content
+     * @returns {Array} Array of { line (0-based), attributes } objects
+     */
+    static findConfigComments(content) {
+        const lines = content.split('\n');
+        const { configBlocks, inlineConfigs } = this.classifyLines(content);
+        const comments = [];
+
+        configBlocks.forEach(block => comments.push(...block.configs));
+        inlineConfigs.forEach((configs, line) => {
+            configs.forEach(({ attributes }) => comments.push({ line, attributes }));
+        });
+
+        return comments.sort((a, b) => a.line - b.line);
+    }
+
+    /**
+     * Lines of the body and subsections of a named heading (without the heading itself
+     * and the ai-rules comments configuring it)
+     * @param {string} content - Markdown content
+     * @param {string} title - Heading title to look for
+     * @param {string} location - Location of the include directive, for error messages
+     * @returns {object} { lines, startLine, level } of the section
+     */
+    static extractSectionLines(content, title, location) {
+        const { headings, configBlocks } = this.classifyLines(content);
+        const lines = content.split('\n');
+        const matches = Array.from(headings.entries())
+            .filter(([, heading]) => heading.title.trim() === title.trim());
+
+        if (matches.length === 0) {
+            throw new Error(`[ERROR] ❗ Included section "${title}" not found (at ${location})`);
+        }
+        if (matches.length > 1) {
+            throw new Error(`[ERROR] ❗ Included section "${title}" is ambiguous, found at lines ${matches.map(([line]) => line + 1).join(', ')} (at ${location})`);
+        }
+
+        const [headingLine, heading] = matches[0];
+
+        // Skip the comments configuring the included section itself
+        let startLine = heading.endLine;
+        while (startLine < lines.length && (!lines[startLine].trim() || configBlocks.has(startLine))) {
+            startLine = configBlocks.has(startLine) ? configBlocks.get(startLine).endLine : startLine + 1;
+        }
+
+        let endLine = lines.length;
+        for (const [line, other] of headings) {
+            if (line > headingLine && other.level <= heading.level) {
+                endLine = line;
+                break;
+            }
+        }
+
+        return { lines: lines.slice(startLine, endLine), startLine, level: heading.level };
+    }
+
+    /**
+     * Shift the headings of included content so they become subsections of the including section
+     * @param {string} content - Included markdown content
+     * @param {number} parentLevel - Level of the section containing the include (0 outside of sections)
+     * @param {number|null} includedLevel - Level of the included section, null for whole files
+     * @param {Array} lineMap - Optional origin of each content line, updated to match the shifted lines
+     * @returns {string} Content with shifted (ATX) headings
+     */
+    static shiftHeadings(content, parentLevel, includedLevel, lineMap = null) {
+        const { headings } = this.classifyLines(content);
+        if (headings.size === 0) {
+            return content;
+        }
+
+        const topLevel = includedLevel !== null
+            ? includedLevel + 1
+            : Math.min(...Array.from(headings.values(), heading => heading.level));
+        const shift = parentLevel + 1 - topLevel;
+        if (shift === 0) {
+            return content;
+        }
+
+        const lines = content.split('\n');
+        const shifted = [];
+        const shiftedLineMap = [];
+        let lineIndex = 0;
+        while (lineIndex < lines.length) {
+            shiftedLineMap.push(lineMap ? lineMap[lineIndex] : null);
+            const heading = headings.get(lineIndex);
+            if (heading) {
+                // Markdown has no headings deeper than h6
+                const level = Math.min(Math.max(heading.level + shift, 1), 6);
+                shifted.push(`${'#'.repeat(level)} ${heading.title}`);
+                lineIndex = heading.endLine;
+            } else {
+                shifted.push(lines[lineIndex]);
+                lineIndex++;
+            }
+        }
+        if (lineMap) {
+            // Setext headings took two lines
+            lineMap.splice(0, lineMap.length, ...shiftedLineMap);
+        }
+        return shifted.join('\n');
+    }
+
+    /**
+     * Number of lines taken by the frontmatter of a file read with gray-matter
+     * @param {object} file - gray-matter result
+     * @returns {number} Line offset of file.content in the original file
+     */
+    static getFrontmatterLineCount(file) {
+        return file.orig.toString().split('\n').length - file.content.split('\n').length;
+    }
+
+    /**
+     * Split markdown content into nested sections with their config, content and lines
+     * @param {string} content - Markdown content
+     * @param {Function} locate - Location of a 0-based content line (e.g. 'docs/guide.md:12'), for error messages
+     * @param {object} options - { lenientAttributes: skip unknown or malformed ai-rules attributes instead of throwing }
+     * @returns {object} Sections keyed by title
+     */
+    static extractSections(content, locate = line => `line ${line + 1}`, options = {}) {
         const sections = {};
         let currentPath = [];  // Stack to track current section path
         let currentConfig = {};
         let suppressConfigUntilLevel = null;  // Track when to suppress ai-rules processing
+        const sectionLevels = [];  // Sections with the level of their heading
 
-        content.split('\n').forEach(line => {
-            // Check for ai-rules comment
-            const configMatch = line.match(/<!--\s*ai-rules([^>]*?)-->/);
-            if (configMatch) {
-                // Skip processing ai-rules tags if we're in a unified subsection
-                if (suppressConfigUntilLevel !== null) {
-                    return;
-                }
-                
-                const newConfig = ConfigParser.parseConfigAttributes(configMatch[1]);
-                if (currentPath.length > 0) {
-                    // Apply to current section if we're in one
-                    let section = sections;
-                    for (let i = 0; i < currentPath.length - 1; i++) {
-                        section = section[currentPath[i]].sections;
-                    }
-                    section[currentPath[currentPath.length - 1]].config = {
-                        ...section[currentPath[currentPath.length - 1]].config,
-                        ...newConfig
-                    };
-                } else {
-                    // Store for next section if we're not in one yet
-                    currentConfig = newConfig;
+        const lines = content.split('\n');
+        const { headings, configBlocks, inlineConfigs } = this.classifyLines(content);
+
+        // Section receiving content: the current section, or its first ancestor with unifySubsections
+        const getContentSection = () => {
+            let section = sections;
+            for (let i = 0; i < currentPath.length - 1; i++) {
+                if (section[currentPath[i]].config.unifySubsections) {
+                    return section[currentPath[i]];
                 }
+                section = section[currentPath[i]].sections;
+            }
+            return section[currentPath[currentPath.length - 1]];
+        };
+
+        const applyConfig = (configStr, line) => {
+            // Skip processing ai-rules tags if we're in a unified subsection
+            if (suppressConfigUntilLevel !== null) {
                 return;
             }
 
-            // Match any heading level
-            const headingMatch = line.match(/^(#+)\s+(.+)/);
-            if (headingMatch) {
-                const level = headingMatch[1].length;  // Number of # symbols
-                const title = headingMatch[2];
+            const newConfig = options.lenientAttributes
+                ? ConfigParser.readConfigAttributes(configStr).config
+                : ConfigParser.parseConfigAttributes(configStr, locate(line));
+            if (currentPath.length > 0) {
+                // Apply to current section if we're in one
+                let section = sections;
+                for (let i = 0; i < currentPath.length - 1; i++) {
+                    section = section[currentPath[i]].sections;
+                }
+                section[currentPath[currentPath.length - 1]].config = {
+                    ...section[currentPath[currentPath.length - 1]].config,
+                    ...newConfig
+                };
+            } else {
+                // Store for next section if we're not in one yet
+                currentConfig = { ...currentConfig, ...newConfig };
+            }
+        };
+
+        let lineIndex = 0;
+        while (lineIndex < lines.length) {
+            const configBlock = configBlocks.get(lineIndex);
+            if (configBlock) {
+                configBlock.configs.forEach(comment => applyConfig(comment.attributes, comment.line));
+                lineIndex = configBlock.endLine;
+                continue;
+            }
+
+            const heading = headings.get(lineIndex);
+            if (heading) {
+                const { level, title } = heading;
+                const headingLines = lines.slice(lineIndex, heading.endLine);
+                lineIndex = heading.endLine;
 
                 // Check if we should stop suppressing config processing
                 if (suppressConfigUntilLevel !== null && level <= suppressConfigUntilLevel) {
@@ -55,57 +630,83 @@ class MarkdownParser {
 
                 // Navigate to the correct location and create the section
                 let section = sections;
+                let unified = false;
                 for (let i = 0; i < currentPath.length - 1; i++) {
                     if (section[currentPath[i]].config.unifySubsections) {
                         // If parent has unifySubsections, add as content
-                        section[currentPath[i]].content.push('');  // Add blank line
-                        section[currentPath[i]].content.push(line);
+                        section[currentPath[i]].content.push(...headingLines);
                         currentPath.pop();  // Remove from path as it's not a real section
                         suppressConfigUntilLevel = level;  // Suppress ai-rules tags until we get back to this level or higher
-                        return;
+                        unified = true;
+                        break;
                     }
                     section = section[currentPath[i]].sections;
                 }
-
-                if (currentPath.length === 1) {
-                    // Top level section
-                    sections[title] = {
-                        config: currentConfig,
-                        content: [],
-                        sections: {}
-                    };
-                } else {
-                    // Subsection
-                    section[title] = {
-                        config: currentConfig,
-                        content: [],
-                        sections: {}
-                    };
+                if (unified) {
+                    continue;
                 }
+
+                section[title] = {
+                    config: currentConfig,
+                    content: [],
+                    sections: {},
+                    lines: { start: lineIndex - headingLines.length, end: null }  // Heading and last line in content
+                };
+                sectionLevels.push([section[title], level]);
                 currentConfig = {};  // Reset for next use
-            } else if (currentPath.length > 0 && line.trim()) {
-                // Add content to the current section
-                let section = sections;
-                let targetSection = currentPath[currentPath.length - 1];
+                continue;
+            }
 
-                // Check if any parent has unifySubsections
-                for (let i = 0; i < currentPath.length - 1; i++) {
-                    if (section[currentPath[i]].config.unifySubsections) {
-                        // Add to the parent section instead
-                        section[currentPath[i]].content.push(line);
-                        return;
-                    }
-                    section = section[currentPath[i]].sections;
+            let line = lines[lineIndex];
+            lineIndex++;
+
+            if (inlineConfigs.has(lineIndex - 1)) {
+                const configs = inlineConfigs.get(lineIndex - 1);
+                configs.forEach(({ attributes }) => applyConfig(attributes, lineIndex - 1));
+                // Remove only the applied comments, from the end so earlier offsets stay valid
+                line = configs.reduceRight((text, { start, end }) => text.slice(0, start) + text.slice(end), line).trimEnd();
+                if (!line.trim()) {
+                    continue;
                 }
+            }
+
+            // Add content (including blank lines, to keep code blocks, lists and tables intact)
+            if (currentPath.length > 0) {
+                getContentSection().content.push(line);
+            }
+        }
 
-                // If no unification, add to the current section
-                section[targetSection].content.push(line);
+        // A section ends before the next heading of the same or a higher level
+        const headingStarts = Array.from(headings.keys());
+        sectionLevels.forEach(([section, level]) => {
+            const next = headingStarts.find(line => line > section.lines.start && headings.get(line).level <= level);
+            let end = (next === undefined ? lines.length : next) - 1;
+            while (end > section.lines.start && !lines[end].trim()) {
+                end--;
             }
+            section.lines.end = end;
         });
 
+        this.trimContent(sections);
         return sections;
     }
 
+    /**
+     * Remove leading and trailing blank lines from the content of every section
+     * @param {object} sections - Sections keyed by title
+     */
+    static trimContent(sections) {
+        Object.values(sections).forEach(section => {
+            while (section.content.length > 0 && !section.content[0].trim()) {
+                section.content.shift();
+            }
+            while (section.content.length > 0 && !section.content[section.content.length - 1].trim()) {
+                section.content.pop();
+            }
+            this.trimContent(section.sections);
+        });
+    }
+
     static extractLinks(content) {
         const linkPattern = /\[([^\]]+)\]\(([^)]+)\)/g;
         return Array.from(content.matchAll(linkPattern))
@@ -116,4 +717,4 @@ class MarkdownParser {
     }
 }
 
-module.exports = MarkdownParser; 
\ No newline at end of file
+module.exports = MarkdownParser;
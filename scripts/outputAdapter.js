@@ -0,0 +1,201 @@
+const path = require('path');
+const matter = require('gray-matter');
+const ManagedBlockHandler = require('./managedBlockHandler');
+const LinkResolver = require('./linkResolver');
+
+/**
+ * Base class for output format adapters. An adapter turns the rule tree into files
+ * for one AI tool: it owns the path layout, the frontmatter serialization, the file
+ * extension and how cleanup recognizes files it generated.
+ *
+ * Generated files are written under `<projectType>/<rule path>/` and later copied into
+ * target repositories; `rootDir` and `rootFiles` tell the copy step what to pick up there.
+ *
+ * Custom adapters (see `outputFormats` in ai-rules-config.yml) are either plain objects whose
+ * properties and methods are applied on top of this class, so they only override what differs,
+ * or functions receiving this class and returning an instance of a subclass.
+ */
+class OutputAdapter {
+    constructor(options = {}) {
+        this.name = options.name;
+        this.rootDir = options.rootDir || null;      // Directory copied into target repos (e.g. '.cursor')
+        this.rulesDir = options.rulesDir ?? 'rules'; // Rules directory inside rootDir ('' for rules directly in rootDir)
+        this.extension = options.extension || '.md';
+        this.rootFiles = options.rootFiles || [];    // Single files copied into target repos (e.g. 'AGENTS.md')
+    }
+
+    /**
+     * Relative path of a rule file inside `<projectType>/<rule path>/`
+     * @param {object} rule - Rule being written (name, fileName, sectionPath, ...)
+     * @returns {string} Relative file path (e.g. '.cursor/rules/parent/child.mdc')
+     */
+    getRulePath(rule) {
+        return path.join(this.rootDir, this.rulesDir, ...rule.sectionPath, `${rule.fileName}${this.extension}`);
+    }
+
+    /**
+     * Path (inside `<projectType>/<rule path>/`) of the file a rule ends up in, used for links between rules
+     * @param {object} rule - Rule (name, fileName, sectionPath, effectiveConfig, ...)
+     * @param {object} config - Generation config
+     * @returns {string} Relative file path
+     */
+    getRuleFilePath(rule, config) {
+        return this.getRulePath(rule);
+    }
+
+    /**
+     * Whether the format writes a rule, so other rules can reference it
+     * @param {object} rule - Rule (effectiveConfig at least)
+     * @returns {boolean} True if the rule gets a file (or part of one) in this format
+     */
+    supportsRule(rule) {
+        return true;
+    }
+
+    /**
+     * Reference to another rule, replacing a markdown link to its documentation section
+     * @param {string} text - Link text
+     * @param {string} fromFile - File of the rule containing the link, relative to the repository (base path)
+     * @param {string} toFile - File of the referenced rule, relative to the repository (base path)
+     * @param {object} targetRule - Referenced rule
+     * @returns {string} Markdown link relative to the file containing it
+     */
+    formatRuleReference(text, fromFile, toFile, targetRule) {
+        if (fromFile === toFile) {
+            // Both rules are in the same file (e.g. AGENTS.md): link to the heading
+            return `[${text}](#${LinkResolver.slugify(targetRule.name)})`;
+        }
+        const relativePath = path.relative(path.dirname(fromFile), toFile).split(path.sep).join('/');
+        return `[${text}](${relativePath})`;
+    }
+
+    /**
+     * Frontmatter for a rule. Must keep `ai-rules-project` so cleanup can identify the file.
+     * @param {object} rule - Rule being written (projectType, effectiveConfig, description, provenance, ...)
+     * @returns {object} Frontmatter key/values
+     */
+    buildFrontmatter(rule) {
+        const frontmatter = {
+            'ai-rules-project': rule.projectType  // Add project type for cleanup identification
+        };
+        if (rule.provenance) {
+            frontmatter['ai-rules-source'] = rule.provenance.file;
+            frontmatter['ai-rules-lines'] = rule.provenance.lines;
+            if (rule.provenance.commit) {
+                frontmatter['ai-rules-commit'] = rule.provenance.commit;
+            }
+        }
+        return frontmatter;
+    }
+
+    /**
+     * Where a rule comes from, for the provenance frontmatter (when enabled by `provenance` in the config)
+     * @param {object} source - Source of the rule ({ file, anchor, location: { file, startLine, endLine } })
+     * @param {object} config - Generation config (provenance, docsCommit)
+     * @returns {object|null} { file, lines, commit }
+     */
+    static getProvenance(source, config) {
+        if (!config.provenance || !source || !source.location) {
+            return null;
+        }
+        const { file, startLine, endLine } = source.location;
+        return { file, lines: `${startLine}-${endLine}`, commit: config.docsCommit || null };
+    }
+
+    /**
+     * Serialize a rule into the file content
+     * @param {object} rule - Rule being written
+     * @returns {string} File content
+     */
+    serializeRule(rule) {
+        return `---
+${this.formatFrontmatter(this.buildFrontmatter(rule)).join('\n')}
+---
+${rule.content.join('\n')}`;
+    }
+
+    /**
+     * Write a single rule for one project type
+     * @param {object} rule - Rule being written (name, fileName, sectionPath, projectType, effectiveConfig, description, content)
+     * @param {object} output - Output collector ({ writeFile(path, content, rule), addBlockPart(path, projectType, part, rule) },
+     *   the rule is recorded in the ai_rules.json manifest)
+     */
+    async writeRule(rule, output) {
+        await output.writeFile(this.getOutputPath(rule, this.getRulePath(rule)), this.serializeRule(rule), rule);
+    }
+
+    /**
+     * Hook for formats rendered from the whole rule hierarchy at once (e.g. AGENTS.md)
+     * @param {Array} rules - Rule hierarchy from RuleGenerator.generateRules
+     * @param {object} output - Output collector
+     * @param {object} config - Generation config
+     */
+    async writeRuleTree(rules, output, config) {
+    }
+
+    /**
+     * Path of a generated file relative to the generation root
+     * @param {object} rule - Rule being written
+     * @param {string} relativePath - Path inside the rule path
+     * @returns {string} Path relative to the generation root
+     */
+    getOutputPath(rule, relativePath) {
+        return path.join(rule.projectType, rule.effectiveConfig.path, relativePath);
+    }
+
+    /**
+     * Check whether a file in a target repository may be a rule file of this format
+     * @param {string} filePath - Path of the file to check
+     * @returns {boolean} True if the file should be inspected by cleanup
+     */
+    isRuleFile(filePath) {
+        const segments = filePath.replace(/\\/g, '/').split('/');
+        if (this.rootFiles.includes(segments[segments.length - 1])) {
+            return true;
+        }
+        if (!this.rootDir) {
+            return false;
+        }
+        const rootIndex = segments.lastIndexOf(this.rootDir);
+        return rootIndex !== -1 &&
+            (!this.rulesDir || segments[rootIndex + 1] === this.rulesDir) &&
+            filePath.endsWith(this.extension);
+    }
+
+    /**
+     * Find which project types own a rule file, either through managed blocks
+     * or through the `ai-rules-project` frontmatter
+     * @param {string} content - File content
+     * @returns {Array} Array of {projectType, managedBlock, content} objects
+     */
+    findOwners(content) {
+        const blocks = ManagedBlockHandler.findBlocks(content);
+        if (blocks.length > 0) {
+            return blocks.map(block => ({
+                projectType: block.projectType,
+                managedBlock: true,
+                content: block.content
+            }));
+        }
+
+        const parsed = matter(content);
+        const projectType = parsed.data['ai-rules-project'];
+        return projectType ? [{ projectType, managedBlock: false, frontmatter: parsed.data, content: parsed.content }] : [];
+    }
+
+    formatFrontmatter(frontmatter) {
+        return Object.entries(frontmatter).map(([key, value]) => {
+            // Properly format values for YAML frontmatter
+            if (typeof value === 'boolean') {
+                return `${key}: ${value}`;
+            } else if (typeof value === 'string') {
+                // JSON strings are valid YAML double-quoted scalars, with quotes and backslashes escaped
+                return `${key}: ${JSON.stringify(value)}`;
+            } else {
+                return `${key}: ${value}`;
+            }
+        });
+    }
+}
+
+module.exports = OutputAdapter;
@@ -0,0 +1,103 @@
+const path = require('path');
+const OutputAdapter = require('./outputAdapter');
+const CursorAdapter = require('./cursorAdapter');
+const WindsurfAdapter = require('./windsurfAdapter');
+const CopilotAdapter = require('./copilotAdapter');
+const AgentsAdapter = require('./agentsAdapter');
+
+const DEFAULT_FORMATS = ['cursor'];
+
+/**
+ * Output format adapters available for a run: the built-in ones plus the custom
+ * adapters declared under `outputFormats` in ai-rules-config.yml
+ */
+class OutputAdapterRegistry {
+    /**
+     * @param {object} customFormats - Map of format name to adapter module path (from `outputFormats`)
+     * @param {string} baseDir - Directory custom module paths are resolved from (the config file's directory)
+     */
+    constructor(customFormats = {}, baseDir = process.cwd()) {
+        this.adapters = new Map([
+            ['cursor', new CursorAdapter()],
+            ['windsurf', new WindsurfAdapter()],
+            ['copilot', new CopilotAdapter()],
+            ['agents', new AgentsAdapter('agents', 'AGENTS.md')],
+            ['claude', new AgentsAdapter('claude', 'CLAUDE.md')]
+        ]);
+
+        Object.entries(customFormats || {}).forEach(([name, modulePath]) => {
+            this.adapters.set(name, this.loadAdapter(name, modulePath, baseDir));
+        });
+    }
+
+    /**
+     * Create a registry from a loaded config
+     * @param {object} config - Parsed ai-rules-config.yml
+     * @param {string} configPath - Path of the config file
+     * @returns {OutputAdapterRegistry} Registry with built-in and custom adapters
+     */
+    static fromConfig(config, configPath) {
+        return new OutputAdapterRegistry(config.outputFormats, path.dirname(path.resolve(configPath)));
+    }
+
+    /**
+     * Load a custom adapter module. The module exports either an object whose properties
+     * override the OutputAdapter defaults, or a function receiving the OutputAdapter class
+     * and returning an adapter instance.
+     * @param {string} name - Format name used in `formats` / `defaultFormats`
+     * @param {string} modulePath - Module path relative to baseDir
+     * @param {string} baseDir - Directory the module path is resolved from
+     * @returns {OutputAdapter} Adapter instance
+     */
+    loadAdapter(name, modulePath, baseDir) {
+        if (typeof modulePath !== 'string') {
+            throw new Error(`[ERROR] ❗ outputFormats.${name} must be a path to a JavaScript module, got: ${JSON.stringify(modulePath)}`);
+        }
+
+        const resolvedPath = path.resolve(baseDir, modulePath);
+        let exported;
+        try {
+            exported = require(resolvedPath);
+        } catch (error) {
+            throw new Error(`[ERROR] ❗ Could not load output format adapter "${name}" from ${resolvedPath}: ${error.message}`);
+        }
+
+        const adapter = typeof exported === 'function'
+            ? exported(OutputAdapter)
+            : Object.assign(new OutputAdapter({ name }), exported);
+        adapter.name = name;
+
+        if (!adapter.rootDir && !(adapter.rootFiles && adapter.rootFiles.length)) {
+            throw new Error(`[ERROR] ❗ Output format adapter "${name}" must define rootDir or rootFiles so generated files can be copied`);
+        }
+        if (typeof adapter.writeRule !== 'function' || typeof adapter.isRuleFile !== 'function' || typeof adapter.findOwners !== 'function') {
+            throw new Error(`[ERROR] ❗ Output format adapter "${name}" must extend OutputAdapter (missing writeRule, isRuleFile or findOwners)`);
+        }
+
+        return adapter;
+    }
+
+    get(name) {
+        const adapter = this.adapters.get(name);
+        if (!adapter) {
+            throw new Error(`[ERROR] ❗ Unknown output format "${name}". Supported formats: ${this.names().join(', ')}`);
+        }
+        return adapter;
+    }
+
+    has(name) {
+        return this.adapters.has(name);
+    }
+
+    names() {
+        return Array.from(this.adapters.keys());
+    }
+
+    all() {
+        return Array.from(this.adapters.values());
+    }
+}
+
+OutputAdapterRegistry.DEFAULT_FORMATS = DEFAULT_FORMATS;
+
+module.exports = OutputAdapterRegistry;
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const SyncPlan = require('./syncPlan');
+
+/**
+ * Usage:
+ *   node planAiRules.js start <plan file> [docs commit]
+ *   node planAiRules.js add <plan file> <repo> <checkout dir> <strategy JSON>
+ *   node planAiRules.js error <plan file> <repo> <message>
+ *   node planAiRules.js report <plan file> [--summary file]
+ * Used by entrypoint.sh in plan mode: every target repository is added to the plan, then the plan
+ * is printed and appended to the job summary (GITHUB_STEP_SUMMARY by default).
+ */
+function main() {
+    const [command, planPath, ...args] = process.argv.slice(2);
+    if (!command || !planPath) {
+        console.error('Usage: node planAiRules.js start|add|error|report <plan file> ...');
+        process.exit(1);
+    }
+    const plan = new SyncPlan(planPath);
+
+    switch (command) {
+        case 'start':
+            plan.start(args[0] || null);
+            break;
+        case 'add': {
+            const [repo, repoDir, strategyJson] = args;
+            const entry = plan.addRepo(repo, repoDir, JSON.parse(strategyJson));
+            console.log(SyncPlan.formatText({ repos: [entry] }));
+            entry.files.forEach(file => console.log(`  ${file.status}: ${file.path}`));
+            break;
+        }
+        case 'error': {
+            const [repo, message] = args;
+            plan.addError(repo, message);
+            break;
+        }
+        case 'report': {
+            const summaryIndex = args.indexOf('--summary');
+            const summaryPath = summaryIndex !== -1 ? args[summaryIndex + 1] : process.env.GITHUB_STEP_SUMMARY;
+            const result = plan.read();
+            console.log('Plan:');
+            console.log(SyncPlan.formatText(result));
+            if (summaryPath) {
+                fs.appendFileSync(summaryPath, SyncPlan.formatMarkdown(result) + '\n');
+            }
+            break;
+        }
+        default:
+            console.error(`[ERROR] ❗ Unknown command: ${command}. Must be one of: start, add, error, report`);
+            process.exit(1);
+    }
+}
+
+main();
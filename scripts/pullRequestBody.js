@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const VariableHandler = require('./variableHandler');
+
+// Used when no pr-body-template is configured
+const DEFAULT_TEMPLATE = `{{body}}
+
+**{{summary}}** from {{docsLink}}.
+
+{{changes}}
+
+{{cleanup}}
+
+{{sources}}`;
+// GitHub rejects bodies over 65536 characters
+const MAX_BODY_LENGTH = 60000;
+const TRUNCATED_NOTICE = '… (truncated, see the diff for the remaining changes)';
+// Value of empty placeholders until their line is removed
+const EMPTY_VALUE = '\u0000';
+// Rule names listed for a file before "and N more" (shared files hold every rule)
+const MAX_LISTED_RULES = 8;
+const STATUS_LABELS = { added: 'Added', modified: 'Updated', deleted: 'Deleted' };
+
+/**
+ * Pull request body describing a sync: the rule files added, updated and deleted in the target
+ * repository (grouped by project type and rule type), what the rule cleanup removed and why, and
+ * the documentation files and commit the rules come from. Rendered from a template with
+ * `{{placeholder}}`s, the pr-body-template file or DEFAULT_TEMPLATE.
+ */
+class PullRequestBody {
+    /**
+     * Collect what a sync changed in a target repository
+     * @param {Array} files - Changes of the checkout ({ path, status } from SyncPlan.readChanges)
+     * @param {object} manifest - ai_rules.json of the generation ({ commit, files })
+     * @param {object} report - Sync report of copyRulesToRepo.js ({ basePath, projectTypes, removals })
+     * @returns {object} { commit, changes: [{ path, status, projectType, type, rules }], removals, other, sources }
+     */
+    static collect(files, manifest, report) {
+        const generated = this.mapManifest(manifest, report);
+        const removals = report.removals || [];
+        const changes = [];
+        const other = [];
+
+        files.forEach(file => {
+            const entries = generated.get(file.path);
+            if (entries) {
+                entries.forEach(entry => changes.push({ path: file.path, status: file.status, ...entry }));
+            } else if (!removals.some(removal => removal.path === file.path)) {
+                other.push(file);
+            }
+        });
+
+        // Documentation files of the added and updated rules
+        const sources = new Map();
+        changes.forEach(change => change.rules.forEach(rule => {
+            if (!rule.source) {
+                return;
+            }
+            const file = rule.source.replace(/:\d+-\d+$/, '');
+            if (!sources.has(file)) {
+                sources.set(file, new Set());
+            }
+            sources.get(file).add(rule.name);
+        }));
+
+        return {
+            commit: manifest.commit || null,
+            changes,
+            removals,
+            other,
+            sources: Array.from(sources, ([file, names]) => ({ file, rules: Array.from(names) }))
+                .sort((a, b) => a.file.localeCompare(b.file))
+        };
+    }
+
+    /**
+     * Rules of each file the generation writes to the repository, by project type and rule type
+     * (manifest paths `<projectType>/<path>` are copied to `<basePath>/<path>`)
+     * @param {object} manifest - ai_rules.json of the generation
+     * @param {object} report - Sync report of copyRulesToRepo.js
+     * @returns {Map} Repository path to an array of { projectType, type, rules }
+     */
+    static mapManifest(manifest, report) {
+        const generated = new Map();
+        (manifest.files || []).forEach(entry => {
+            const [projectType, ...rest] = entry.path.split('/');
+            if (!(report.projectTypes || []).includes(projectType)) {
+                return;
+            }
+            const repoPath = path.posix.join(report.basePath || '', ...rest);
+            const byType = new Map();
+            entry.rules.forEach(rule => {
+                if (!byType.has(rule.type)) {
+                    byType.set(rule.type, []);
+                }
+                byType.get(rule.type).push(rule);
+            });
+            if (byType.size === 0) {
+                byType.set(null, []);
+            }
+            generated.set(repoPath, [
+                ...(generated.get(repoPath) || []),
+                ...Array.from(byType, ([type, rules]) => ({ projectType, type, rules }))
+            ]);
+        });
+        return generated;
+    }
+
+    /**
+     * Render the body
+     * @param {string} template - Template with `{{placeholder}}`s
+     * @param {object} result - Result of collect()
+     * @param {object} options - { body (pr-body input), repo, branch, targetBranch, docsRepoUrl, linkResolver }
+     * @returns {string} Markdown body
+     */
+    static render(template, result, options = {}) {
+        const values = this.getValues(result, options);
+        let body = this.substitute(template, values);
+        if (body.length > MAX_BODY_LENGTH) {
+            // Whole lines of the changes list are dropped first, then of the body
+            const excess = body.length - MAX_BODY_LENGTH;
+            values.changes = this.truncateLines(values.changes, values.changes.length - excess, `- ${TRUNCATED_NOTICE}`);
+            body = this.substitute(template, values);
+        }
+        return this.truncateLines(body, MAX_BODY_LENGTH, `\n${TRUNCATED_NOTICE}`);
+    }
+
+    /**
+     * Fill in the template. A line holding only placeholders without a value is removed with
+     * one blank line next to it, so skipped sections leave no gap; other blank lines are kept.
+     * @param {string} template - Template with `{{placeholder}}`s
+     * @param {object} values - Placeholder name to value
+     * @returns {string} Markdown body
+     */
+    static substitute(template, values) {
+        const marked = Object.fromEntries(Object.entries(values).map(([name, value]) => [name, value === '' ? EMPTY_VALUE : value]));
+        const lines = VariableHandler.substitute(template, marked, { source: 'the pull request body template' }).split('\n');
+        const kept = [];
+        let skipBlank = false;
+        lines.forEach(line => {
+            if (line.includes(EMPTY_VALUE) && !line.split(EMPTY_VALUE).join('').trim()) {
+                skipBlank = kept.length === 0 || !kept[kept.length - 1].trim();
+                return;
+            }
+            if (skipBlank && !line.trim()) {
+                skipBlank = false;
+                return;
+            }
+            skipBlank = false;
+            kept.push(line.split(EMPTY_VALUE).join(''));
+        });
+        return kept.join('\n').trim();
+    }
+
+    /**
+     * Keep the first lines of a text that fit, followed by a notice
+     * @param {string} text - Text to shorten
+     * @param {number} maxLength - Length of the result, notice included
+     * @param {string} notice - Last line when lines were dropped
+     * @returns {string} The text, or its first lines and the notice
+     */
+    static truncateLines(text, maxLength, notice) {
+        if (text.length <= maxLength) {
+            return text;
+        }
+        const kept = [];
+        let length = notice.length;
+        for (const line of text.split('\n')) {
+            if (length + line.length + 1 > maxLength) {
+                break;
+            }
+            kept.push(line);
+            length += line.length + 1;
+        }
+        return [...kept, notice].join('\n');
+    }
+
+    /**
+     * Values of the template placeholders
+     * @param {object} result - Result of collect()
+     * @param {object} options - See render()
+     * @returns {object} Placeholder name to value
+     */
+    static getValues(result, options) {
+        const commit = result.commit || '';
+        const docsRepoUrl = options.docsRepoUrl ? options.docsRepoUrl.replace(/\/+$/, '') : '';
+        return {
+            body: options.body || '',
+            repo: options.repo || '',
+            branch: options.branch || '',
+            targetBranch: options.targetBranch || '',
+            summary: this.formatSummary(result),
+            changes: this.formatChanges(result),
+            cleanup: this.formatCleanup(result),
+            sources: this.formatSources(result, options.linkResolver),
+            commit,
+            shortCommit: commit.slice(0, 7),
+            docsRepoUrl,
+            docsLink: this.formatDocsLink(docsRepoUrl, commit)
+        };
+    }
+
+    /**
+     * Counts of changed rule files
+     * @param {object} result - Result of collect()
+     * @returns {string} Summary (e.g. '2 rule files added, 1 updated, 1 deleted')
+     */
+    static formatSummary(result) {
+        const counts = { added: new Set(), modified: new Set(), deleted: new Set() };
+        result.changes.forEach(change => counts[change.status].add(change.path));
+        result.removals.filter(removal => removal.action === 'deleted').forEach(removal => counts.deleted.add(removal.path));
+        result.removals.filter(removal => removal.action === 'block-removed').forEach(removal => counts.modified.add(removal.path));
+        return `${counts.added.size} rule files added, ${counts.modified.size} updated, ${counts.deleted.size} deleted`;
+    }
+
+    /**
+     * Added, updated and deleted rule files, grouped by project type, then rule type
+     * @param {object} result - Result of collect()
+     * @returns {string} Markdown section, empty without changes
+     */
+    static formatChanges(result) {
+        if (result.changes.length === 0 && result.other.length === 0) {
+            return '';
+        }
+
+        const lines = ['### Rule changes'];
+        const projectTypes = [...new Set(result.changes.map(change => change.projectType))].sort();
+        projectTypes.forEach(projectType => {
+            lines.push('', `#### \`${projectType}\``);
+            const ofProjectType = result.changes.filter(change => change.projectType === projectType);
+            const types = [...new Set(ofProjectType.map(change => change.type))]
+                .sort((a, b) => (a === null) - (b === null) || String(a).localeCompare(String(b)));
+            types.forEach(type => {
+                lines.push('', `**${type || 'other files'}**`);
+                ofProjectType
+                    .filter(change => change.type === type)
+                    .sort((a, b) => a.path.localeCompare(b.path))
+                    .forEach(change => lines.push(`- ${STATUS_LABELS[change.status]} \`${change.path}\`${this.formatRuleNames(change.rules)}`));
+            });
+        });
+        if (result.other.length > 0) {
+            lines.push('', '#### Other files', '');
+            result.other.forEach(file => lines.push(`- ${STATUS_LABELS[file.status]} \`${file.path}\``));
+        }
+        return lines.join('\n');
+    }
+
+    static formatRuleNames(rules) {
+        if (rules.length === 0) {
+            return '';
+        }
+        const names = rules.slice(0, MAX_LISTED_RULES).map(rule => rule.name);
+        const more = rules.length > MAX_LISTED_RULES ? ` and ${rules.length - MAX_LISTED_RULES} more` : '';
+        return `: ${names.join(', ')}${more}`;
+    }
+
+    /**
+     * Files and managed blocks removed by the rule cleanup, with the reason
+     * @param {object} result - Result of collect()
+     * @returns {string} Markdown section, empty when nothing was removed
+     */
+    static formatCleanup(result) {
+        if (result.removals.length === 0) {
+            return '';
+        }
+        const lines = ['### Removed by cleanup', ''];
+        [...result.removals]
+            .sort((a, b) => a.projectType.localeCompare(b.projectType) || a.path.localeCompare(b.path))
+            .forEach(removal => lines.push(removal.action === 'deleted'
+                ? `- Deleted \`${removal.path}\` (\`${removal.projectType}\`): ${removal.reason}`
+                : `- Removed the \`${removal.projectType}\` block from \`${removal.path}\`: ${removal.reason}`));
+        return lines.join('\n');
+    }
+
+    /**
+     * Documentation files the added and updated rules come from
+     * @param {object} result - Result of collect()
+     * @param {LinkResolver} linkResolver - Resolver building URLs to the docs repository, optional
+     * @returns {string} Markdown section, empty without sources
+     */
+    static formatSources(result, linkResolver = null) {
+        if (result.sources.length === 0) {
+            return '';
+        }
+        const lines = ['### Source documentation', ''];
+        result.sources.forEach(source => {
+            const url = linkResolver ? linkResolver.getUrl(source.file) : null;
+            const file = url ? `[\`${source.file}\`](${url})` : `\`${source.file}\``;
+            lines.push(`- ${file}${this.formatRuleNames(source.rules.map(name => ({ name })))}`);
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Link to the docs repository at the synced commit
+     * @param {string} docsRepoUrl - Web URL of the docs repository
+     * @param {string} commit - Docs commit
+     * @returns {string} Markdown link (e.g. '[org/docs@3f2c1a9](https://github.com/org/docs/tree/3f2c1a9...)')
+     */
+    static formatDocsLink(docsRepoUrl, commit) {
+        if (!docsRepoUrl) {
+            return commit ? `the documentation at \`${commit.slice(0, 7)}\`` : 'the documentation';
+        }
+        const name = docsRepoUrl.split('/').slice(-2).join('/');
+        return commit
+            ? `[${name}@${commit.slice(0, 7)}](${docsRepoUrl}/tree/${commit})`
+            : `[${name}](${docsRepoUrl})`;
+    }
+
+    /**
+     * Template of the body
+     * @param {string|null} templatePath - Path of a template file, DEFAULT_TEMPLATE when empty
+     * @returns {string} Template
+     * @throws {Error} If the template file does not exist
+     */
+    static loadTemplate(templatePath) {
+        if (!templatePath) {
+            return DEFAULT_TEMPLATE;
+        }
+        if (!fs.existsSync(templatePath)) {
+            throw new Error(`[ERROR] ❗ Pull request body template does not exist: ${templatePath}`);
+        }
+        return fs.readFileSync(templatePath, 'utf8');
+    }
+}
+
+PullRequestBody.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+PullRequestBody.MAX_BODY_LENGTH = MAX_BODY_LENGTH;
+
+module.exports = PullRequestBody;
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const path = require('path');
+const GitProviderRegistry = require('./gitProviderRegistry');
+
+// `org/repo` (or `group/subgroup/repo` on GitLab) on a git provider
+const HOSTED_REPO_PATTERN = /^[\w.-]+(\/[\w.-]+)+$/;
+// Any URL git can clone (https://, ssh://, git://, file://) or scp-like `user@host:path`
+const GIT_URL_PATTERN = /^([a-z][a-z0-9+.-]*:\/\/|[\w.-]+@[\w.-]+:)/i;
+// Filesystem paths: absolute, or relative starting with ./ or ../
+const LOCAL_PATH_PATTERN = /^(\/|\.\.?(\/|$))/;
+
+/**
+ * Where the rules of an `exports` entry go. Targets are hosted repositories (`org/repo` on GitHub,
+ * GitLab or Gitea, see `repositoryProviders`; cloned with a token, pull requests opened through the
+ * API of the provider), any git URL (cloned and pushed with plain git, no pull requests) or local
+ * directories (rules copied in place, no git at all).
+ */
+class RepoTarget {
+    /**
+     * Kind and location of a target
+     * @param {string} target - Key of `exports` (e.g. 'org/app', 'file:///srv/git/app.git', './apps/web')
+     * @param {string} baseDir - Directory relative local paths are resolved against
+     * @param {object} providers - `repositoryProviders` of the config
+     * @returns {object} { target, kind ('hosted', 'git' or 'local'), provider (type, hosted targets only), location (clone URL or absolute path), dirName }
+     * @throws {Error} If the target is none of these
+     */
+    static parse(target, baseDir = process.cwd(), providers = {}) {
+        if (LOCAL_PATH_PATTERN.test(target)) {
+            return { target, kind: 'local', location: path.resolve(baseDir, target), dirName: this.getDirName(target) };
+        }
+        if (GIT_URL_PATTERN.test(target)) {
+            return { target, kind: 'git', location: target, dirName: this.getDirName(target) };
+        }
+        if (HOSTED_REPO_PATTERN.test(target)) {
+            const provider = GitProviderRegistry.create(target, providers);
+            if (!provider.isValidRepo(target)) {
+                throw new Error(`[ERROR] ❗ Invalid target "${target}": ${provider.displayName} repositories are owner/repo`);
+            }
+            return { target, kind: 'hosted', provider: provider.type, location: provider.getRepositoryUrl(target), dirName: target };
+        }
+        throw new Error(`[ERROR] ❗ Invalid target "${target}": expected org/repo, a git URL (https://, ssh://, file://, user@host:path) or a local path (./dir, ../dir, /dir)`);
+    }
+
+    /**
+     * Directory name of a scratch checkout (e.g. 'file:///srv/git/app.git' → 'srv_git_app.git_1a2b3c4d').
+     * The hash of the target keeps apart targets with the same readable part (e.g. './apps/web' and '/apps/web').
+     * @param {string} target - Target
+     * @returns {string} Name without path separators
+     */
+    static getDirName(target) {
+        const name = target
+            .replace(/^[a-z][a-z0-9+.-]*:\/\//i, '')
+            .replace(/[^\w.-]+/g, '_')
+            .replace(/^[_.]+|_+$/g, '') || 'target';
+        return `${name}_${crypto.createHash('sha256').update(target).digest('hex').slice(0, 8)}`;
+    }
+}
+
+module.exports = RepoTarget;
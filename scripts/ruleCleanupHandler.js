@@ -1,31 +1,81 @@
 const fs = require('fs');
 const path = require('path');
-const matter = require('gray-matter');
+const OutputAdapterRegistry = require('./outputAdapterRegistry');
+const ManagedBlockHandler = require('./managedBlockHandler');
 
 class RuleCleanupHandler {
-    constructor(targetDir, configuredProjectTypes) {
+    constructor(targetDir, configuredProjectTypes, configuredFormats, basePath = '', adapterRegistry = new OutputAdapterRegistry()) {
         this.targetDir = targetDir;
         this.configuredProjectTypes = configuredProjectTypes || [];
+        this.configuredFormats = configuredFormats || OutputAdapterRegistry.DEFAULT_FORMATS;
+        this.basePath = basePath;
+        this.adapterRegistry = adapterRegistry;
+        // What the last cleanup removed and why, for the pull request body
+        this.removals = [];
     }
 
     /**
-     * Find all .mdc files in a directory using the best available method
+     * Get the adapters of the given output formats
+     * @param {Array} formats - Output format names, all known formats if omitted
+     * @returns {Array} Array of output format adapters
+     */
+    getAdapters(formats) {
+        return formats ? formats.map(format => this.adapterRegistry.get(format)) : this.adapterRegistry.all();
+    }
+
+    /**
+     * Check whether a file is a rule file of one of the given output formats
+     * (e.g. '.cursor/rules/x.mdc', '.windsurf/rules/x.md', '.github/copilot-instructions.md' or 'AGENTS.md')
+     * @param {string} filePath - Path of the file to check
+     * @param {Array} formats - Output format names to match against, all known formats if omitted
+     * @returns {boolean} True if one of the format adapters recognizes the file
+     */
+    isRuleFile(filePath, formats) {
+        return this.getAdapters(formats).some(adapter => adapter.isRuleFile(filePath));
+    }
+
+    /**
+     * File extensions to search for, derived from the adapters (e.g. ['mdc', 'md'])
+     * @param {Array} formats - Output format names, all known formats if omitted
+     * @returns {Array} Array of extensions without leading dot
+     */
+    getSearchExtensions(formats) {
+        const extensions = new Set();
+        this.getAdapters(formats).forEach(adapter => {
+            [adapter.extension, ...adapter.rootFiles].forEach(fileName => {
+                // Not path.extname, which treats '.mdc' as a dotfile without extension
+                const extension = fileName.includes('.') ? fileName.split('.').pop() : '';
+                if (extension) {
+                    extensions.add(extension);
+                }
+            });
+        });
+        return Array.from(extensions);
+    }
+
+    /**
+     * Find all rule files (.mdc, .md, ...) in a directory using the best available method
      * @param {string} dir - Directory to search
+     * @param {Array} formats - Output format names whose rule files should be returned
      * @returns {Array} Array of file paths
      */
-    async findMdcFiles(dir) {
+    async findRuleFiles(dir, formats) {
         // Check if directory exists first
         if (!fs.existsSync(dir)) {
             console.log(`[WARNING] ⚠️ Directory ${dir} does not exist (if unexpected, check that project types match perfectly in markdown and config)`);
             return [];
         }
 
+        const extensions = this.getSearchExtensions(formats);
+
         const methods = [
             {
                 name: 'fd',
                 execute: () => {
                     const { execSync } = require('child_process');
-                    const output = execSync(`fd -e mdc -t f . "${dir}"`, { encoding: 'utf8' });
+                    const extensionArgs = extensions.map(extension => `-e ${extension}`).join(' ');
+                    // Rule directories are hidden (.cursor, .github) and may be gitignored, like find sees them
+                    const output = execSync(`fd ${extensionArgs} -t f --hidden --no-ignore . "${dir}"`, { encoding: 'utf8' });
                     return output.trim().split('\n').filter(line => line.trim());
                 }
             },
@@ -33,20 +83,21 @@ class RuleCleanupHandler {
                 name: 'find', 
                 execute: () => {
                     const { execSync } = require('child_process');
-                    const output = execSync(`find "${dir}" -name "*.mdc" -type f 2>/dev/null || true`, { encoding: 'utf8' });
+                    const nameArgs = extensions.map(extension => `-name "*.${extension}"`).join(' -o ');
+                    const output = execSync(`find "${dir}" \\( ${nameArgs} \\) -type f 2>/dev/null || true`, { encoding: 'utf8' });
                     return output.trim().split('\n').filter(line => line.trim());
                 }
             },
             {
                 name: 'JavaScript fallback',
-                execute: () => this.findMdcFilesJS(dir)
+                execute: () => this.findRuleFilesJS(dir, extensions)
             }
         ];
 
         for (const method of methods) {
             try {
-                const files = await method.execute();
-                console.log(`[DEBUG]  Found ${files.length} .mdc files using ${method.name}`);
+                const files = (await method.execute()).filter(file => this.isRuleFile(file, formats));
+                console.log(`[DEBUG]  Found ${files.length} rule files using ${method.name}`);
                 return files;
             } catch (error) {
                 console.log(`[DEBUG]  ${method.name} failed, trying next method:`, error.message);
@@ -58,11 +109,12 @@ class RuleCleanupHandler {
     }
 
     /**
-     * Find all .mdc files recursively using JavaScript (fallback for systems without fd/find)
+     * Find all files with the given extensions recursively using JavaScript (fallback for systems without fd/find)
      * @param {string} dir - Directory to search
+     * @param {Array} extensions - Extensions without leading dot
      * @returns {Array} Array of file paths
      */
-    async findMdcFilesJS(dir) {
+    async findRuleFilesJS(dir, extensions) {
         const files = [];
         
         async function walk(currentDir) {
@@ -72,7 +124,7 @@ class RuleCleanupHandler {
                     const fullPath = path.join(currentDir, entry.name);
                     if (entry.isDirectory()) {
                         await walk(fullPath);
-                    } else if (entry.isFile() && entry.name.endsWith('.mdc')) {
+                    } else if (entry.isFile() && extensions.includes(entry.name.split('.').pop())) {
                         files.push(fullPath);
                     }
                 }
@@ -86,32 +138,33 @@ class RuleCleanupHandler {
     }
 
     /**
-     * Find all .mdc files in the target directory with ai-rules-project metadata
-     * @returns {Array} Array of {filePath, projectType, relativePath} objects
+     * Find all rule files in the target directory with ai-rules-project metadata
+     * (all known formats, so rules of a format the repo no longer receives are cleaned up too).
+     * Shared files such as copilot-instructions.md or AGENTS.md yield one entry per managed block.
+     * @returns {Array} Array of {filePath, projectType, relativePath, format, managedBlock} objects
      */
     async findExistingRules() {
-        const mdcFiles = await this.findMdcFiles(this.targetDir);
+        const ruleFiles = await this.findRuleFiles(this.targetDir);
         const rules = [];
         
         // Process each file to check for ai-rules-project metadata
-        for (const filePath of mdcFiles) {
+        for (const filePath of ruleFiles) {
             try {
                 const content = await fs.promises.readFile(filePath, 'utf8');
-                const parsed = matter(content);
-                const projectType = parsed.data['ai-rules-project'];
-                
-                if (projectType && this.configuredProjectTypes.includes(projectType)) {
-                    const relativePath = path.relative(this.targetDir, filePath);
-                    rules.push({
+                const relativePath = path.relative(this.targetDir, filePath);
+
+                // The adapter of the file's format decides which project types own it
+                const adapter = this.getAdapters().find(candidate => candidate.isRuleFile(filePath));
+                adapter.findOwners(content)
+                    .filter(owner => this.configuredProjectTypes.includes(owner.projectType))
+                    .forEach(owner => rules.push({
                         filePath: filePath,
                         relativePath: relativePath,
-                        projectType: projectType,
-                        frontmatter: parsed.data,
-                        content: parsed.content
-                    });
-                }
+                        format: adapter.name,
+                        ...owner
+                    }));
             } catch (error) {
-                console.warn(`Warning: Could not parse .mdc file ${filePath}:`, error.message);
+                console.warn(`Warning: Could not parse rule file ${filePath}:`, error.message);
             }
         }
         
@@ -119,20 +172,33 @@ class RuleCleanupHandler {
     }
 
     /**
-     * Get list of current rule paths from generated rules
+     * Get list of current rule paths from generated rules, as they will appear in the target repository
+     * (generated `<projectType>/<path>/...` files are copied to `<basePath>/<path>/...`).
+     * Only the project types and formats configured for this repository count as current, so an
+     * existing rule at any other path (e.g. under a previous basePath) is orphaned.
+     * Managed blocks are also listed as `<path>#<projectType>`.
      * @param {string} generatedRulesDir - Directory containing newly generated rules
      * @returns {Set} Set of relative paths (e.g., 'pathC/section_name.mdc', 'section_name.mdc')
      */
     async getCurrentRulePaths(generatedRulesDir) {
-        const mdcFiles = await this.findMdcFiles(generatedRulesDir);
         const rulePaths = new Set();
-        
-        // Extract relative paths from filenames
-        for (const filePath of mdcFiles) {
-            const relativePath = path.relative(generatedRulesDir, filePath);
-            // Normalize path separators for consistent comparison
-            const normalizedPath = relativePath.replace(/\\/g, '/');
-            rulePaths.add(normalizedPath);
+
+        for (const projectType of this.configuredProjectTypes) {
+            const projectTypeDir = path.join(generatedRulesDir, projectType);
+            if (!fs.existsSync(projectTypeDir)) {
+                continue;
+            }
+
+            const ruleFiles = await this.findRuleFiles(projectTypeDir, this.configuredFormats);
+
+            // Extract relative paths from filenames
+            for (const filePath of ruleFiles) {
+                const relativePath = path.join(this.basePath, path.relative(projectTypeDir, filePath));
+                // Normalize path separators for consistent comparison
+                const normalizedPath = relativePath.replace(/\\/g, '/');
+                rulePaths.add(normalizedPath);
+                rulePaths.add(`${normalizedPath}#${projectType}`);
+            }
         }
         
         return rulePaths;
@@ -154,17 +220,27 @@ class RuleCleanupHandler {
         console.log(`Current rule paths: ${Array.from(currentRulePaths).join(', ')}`);
         
         const deletedFiles = [];
+        this.removals = [];
         
         for (const rule of existingRules) {
             // Normalize the existing rule's relative path for comparison
             const normalizedExistingPath = rule.relativePath.replace(/\\/g, '/');
             
+            // Shared files only lose the block of the orphaned project type
+            if (rule.managedBlock) {
+                if (!currentRulePaths.has(`${normalizedExistingPath}#${rule.projectType}`)) {
+                    await this.removeManagedBlock(rule, deletedFiles);
+                }
+                continue;
+            }
+
             // Delete if the exact path doesn't exist in current generation
             if (!currentRulePaths.has(normalizedExistingPath)) {
                 try {
                     await fs.promises.unlink(rule.filePath);
                     console.log(`Deleted orphaned rule: ${rule.relativePath} (project: ${rule.projectType})`);
                     deletedFiles.push(rule.filePath);
+                    this.recordRemoval(rule, 'deleted');
                     
                     // Also clean up empty directories
                     await this.cleanupEmptyDirectories(path.dirname(rule.filePath));
@@ -183,6 +259,65 @@ class RuleCleanupHandler {
         return deletedFiles;
     }
 
+    /**
+     * Record a removal with the reason the rule is orphaned
+     * @param {object} rule - Existing rule entry
+     * @param {string} action - 'deleted' (whole file) or 'block-removed' (managed block of a shared file)
+     */
+    recordRemoval(rule, action) {
+        this.removals.push({
+            path: rule.relativePath.replace(/\\/g, '/'),
+            projectType: rule.projectType,
+            format: rule.format,
+            action,
+            reason: this.getRemovalReason(rule)
+        });
+    }
+
+    /**
+     * Why an existing rule is not part of the current generation
+     * @param {object} rule - Existing rule entry (relativePath, projectType, format)
+     * @returns {string} Reason (e.g. 'output format "windsurf" is no longer exported to this repository')
+     */
+    getRemovalReason(rule) {
+        const normalizedPath = rule.relativePath.replace(/\\/g, '/');
+        if (!this.configuredFormats.includes(rule.format)) {
+            return `output format "${rule.format}" is no longer exported to this repository`;
+        }
+        const basePath = this.basePath.replace(/\\/g, '/').replace(/\/+$/, '');
+        if (basePath && !normalizedPath.startsWith(`${basePath}/`)) {
+            return `outside basePath "${basePath}" of this repository`;
+        }
+        return `no longer generated for project type "${rule.projectType}" (section removed, renamed, moved or excluded)`;
+    }
+
+    /**
+     * Remove the managed block of an orphaned project type from a shared file,
+     * deleting the file when nothing else is left in it
+     * @param {object} rule - Existing rule entry with managedBlock set
+     * @param {Array} deletedFiles - Collected deleted file paths
+     */
+    async removeManagedBlock(rule, deletedFiles) {
+        try {
+            const content = await fs.promises.readFile(rule.filePath, 'utf8');
+            const remaining = ManagedBlockHandler.removeBlock(content, rule.projectType);
+
+            if (remaining.trim()) {
+                await fs.promises.writeFile(rule.filePath, remaining);
+                console.log(`Removed orphaned block from ${rule.relativePath} (project: ${rule.projectType})`);
+                this.recordRemoval(rule, 'block-removed');
+            } else {
+                await fs.promises.unlink(rule.filePath);
+                console.log(`Deleted orphaned rule: ${rule.relativePath} (project: ${rule.projectType})`);
+                deletedFiles.push(rule.filePath);
+                this.recordRemoval(rule, 'deleted');
+                await this.cleanupEmptyDirectories(path.dirname(rule.filePath));
+            }
+        } catch (error) {
+            console.warn(`Warning: Could not clean up ${rule.filePath}:`, error.message);
+        }
+    }
+
     /**
      * Clean up empty directories recursively
      * @param {string} dirPath - Directory path to check
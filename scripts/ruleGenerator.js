@@ -1,27 +1,45 @@
+const path = require('path');
 const FileHandler = require('./fileHandler');
 const MarkdownParser = require('./markdownParser');
 const ConfigParser = require('./configParser');
+const ConfigLoader = require('./configLoader');
+const OutputAdapterRegistry = require('./outputAdapterRegistry');
+const LinkResolver = require('./linkResolver');
+const TokenBudget = require('./tokenBudget');
 const { log } = require('./utils');
 
-const DEFAULT_CONFIG = {
-    // Rule generation settings
-    docsPath: '.',  // Default path to documentation files
-    defaultRuleType: 'agent_requested',  // Default rule type if not specified
-    defaultRulePath: '',   // Default path relative to repository root
-    basePath: '',  // Base path that cannot be overridden
-    defaultProjectTypes: ['general'],    // Default project types if none specified
-    createTableOfContents: true,  // Whether to generate a table of contents rule
+// Defaults of every setting, with their descriptions, live in ai-rules-config.schema.json
+const DEFAULT_CONFIG = ConfigLoader.getDefaults();
+
+const DUPLICATE_SECTION_POLICIES = ['error', 'merge', 'namespace'];
+const SUBSECTION_LINK_STYLES = ['list', 'table', 'none'];
+
+// Table of contents settings (tableOfContents in the config)
+const DEFAULT_TABLE_OF_CONTENTS = {
+    type: 'always',  // Rule type of the table of contents itself
+    splitBy: 'path',  // One table of contents per project type and 'path', or per 'projectType'
+    style: 'list',  // 'list' or 'table'
+    fields: ['title', 'type', 'description', 'link']  // What each entry shows
 };
+const TABLE_OF_CONTENTS_TYPES = ['always', 'agent_requested', 'manual'];
+const TABLE_OF_CONTENTS_FIELDS = ['title', 'type', 'description', 'link'];
 
 class RuleGenerator {
-    constructor(docsPath, config = {}) {
+    constructor(docsPath, config = {}, adapterRegistry = new OutputAdapterRegistry()) {
         this.docsPath = docsPath;
         this.config = {
             ...DEFAULT_CONFIG,
             ...config
         };
+        // Built-in and custom (outputFormats) output format adapters
+        this.adapterRegistry = adapterRegistry;
+        this.linkResolver = this.config.rewriteLinks ? LinkResolver.fromConfig({ ...this.config, docsPath }) : null;
+        // Commit recorded in the manifest and provenance frontmatter
+        this.docsCommit = this.linkResolver ? this.linkResolver.ref : LinkResolver.getDocsRef(this.config);
         // Initialize section names map
         this.sectionNames = {};
+        // Skip unknown or malformed ai-rules attributes instead of stopping (the linter reports them itself)
+        this.lenientAttributes = false;
     }
 
     collectSectionNames(sections, currentPath = []) {
@@ -49,89 +67,125 @@ class RuleGenerator {
         });
     }
 
+    /**
+     * Settings of the table of contents rules, with defaults for the options not set in the config
+     * @returns {object} { type, splitBy, style, fields }
+     */
+    getTableOfContentsConfig() {
+        const tocConfig = { ...DEFAULT_TABLE_OF_CONTENTS, ...(this.config.tableOfContents || {}) };
+
+        if (!TABLE_OF_CONTENTS_TYPES.includes(tocConfig.type)) {
+            throw new Error(`[ERROR] ❗ Invalid tableOfContents.type: ${tocConfig.type}. Must be one of: ${TABLE_OF_CONTENTS_TYPES.join(', ')}`);
+        }
+        if (!['path', 'projectType'].includes(tocConfig.splitBy)) {
+            throw new Error(`[ERROR] ❗ Invalid tableOfContents.splitBy: ${tocConfig.splitBy}. Must be one of: path, projectType`);
+        }
+        if (!['list', 'table'].includes(tocConfig.style)) {
+            throw new Error(`[ERROR] ❗ Invalid tableOfContents.style: ${tocConfig.style}. Must be one of: list, table`);
+        }
+        const unknownFields = (tocConfig.fields || []).filter(field => !TABLE_OF_CONTENTS_FIELDS.includes(field));
+        if (!Array.isArray(tocConfig.fields) || unknownFields.length > 0) {
+            throw new Error(`[ERROR] ❗ Invalid tableOfContents.fields: ${unknownFields.join(', ') || tocConfig.fields}. Must be a list of: ${TABLE_OF_CONTENTS_FIELDS.join(', ')}`);
+        }
+        if (!tocConfig.fields.includes('title') && !tocConfig.fields.includes('link')) {
+            throw new Error('[ERROR] ❗ tableOfContents.fields must contain "title" or "link"');
+        }
+
+        return tocConfig;
+    }
+
+    /**
+     * Table of contents rules: one per project type and rule path, or one per project type
+     * (in the root path) when tableOfContents.splitBy is 'projectType'
+     * @param {Array} rules - Rule hierarchy
+     * @returns {Array} Table of contents rules, listing their entries in tocEntries
+     */
     generateTableOfContents(rules) {
-        // Group rules by project type and path using effectiveConfig
-        const rulesByProjectTypeAndPath = {};
-        
-        const collectRulesForProjectTypeAndPath = (section, isTopLevel = true) => {
-            const path = section.effectiveConfig.path;
-            const projectTypes = section.effectiveConfig.projectTypes || [];
-            
-            // Add section to each of its project types
-            projectTypes.forEach(projectType => {
-                const key = `${projectType}:${path}`;
-                
-                if (!rulesByProjectTypeAndPath[key]) {
-                    rulesByProjectTypeAndPath[key] = [];
-                }
-                
-                // Only add if it's top-level or has a different path than its parent
-                if (isTopLevel) {
-                    rulesByProjectTypeAndPath[key].push(section);
-                }
-            });
+        const tocConfig = this.getTableOfContentsConfig();
+        const splitByPath = tocConfig.splitBy === 'path';
 
-            // Process subsections
-            if (section.sections) {
-                Object.entries(section.sections).forEach(([name, subsection]) => {
-                    const subsectionPath = subsection.effectiveConfig.path;
-                    // If subsection has a different path, treat it as a top-level section for that path
-                    const isTopLevelForPath = subsectionPath !== path;
-                    collectRulesForProjectTypeAndPath(subsection, isTopLevelForPath);
+        // Rules starting a path (top-level rules, or subsections in another path than their parent),
+        // grouped by project type then path
+        const rulesByProjectType = new Map();
+        const collectRules = (section, startsPath) => {
+            const rulePath = section.effectiveConfig.path;
+            if (startsPath) {
+                (section.effectiveConfig.projectTypes || []).forEach(projectType => {
+                    if (!rulesByProjectType.has(projectType)) {
+                        rulesByProjectType.set(projectType, new Map());
+                    }
+                    const rulesByPath = rulesByProjectType.get(projectType);
+                    if (!rulesByPath.has(rulePath)) {
+                        rulesByPath.set(rulePath, []);
+                    }
+                    rulesByPath.get(rulePath).push(section);
                 });
             }
+            Object.values(section.sections || {}).forEach(subsection =>
+                collectRules(subsection, subsection.effectiveConfig.path !== rulePath));
         };
+        rules.forEach(rule => collectRules(rule, true));
 
-        // Process rules and their subsections
-        rules.forEach(rule => collectRulesForProjectTypeAndPath(rule, true));
-
-        // Generate a table of contents for each project type and path combination
         const tocRules = [];
-        Object.entries(rulesByProjectTypeAndPath).forEach(([key, pathRules]) => {
-            const [projectType, path] = key.split(':');
-            let content = ['# Table of Contents\n'];
-
-            const addSection = (section, level = 0) => {
-                const indent = '  '.repeat(level);
-                content.push(`${indent}- ${section.name}`);
-
-                // Add subsections recursively, but only if they belong to the same path and project type
-                if (section.sections) {
-                    Object.entries(section.sections).forEach(([name, subsection]) => {
-                        const subsectionProjectTypes = subsection.effectiveConfig.projectTypes || [];
-                        if (subsection.effectiveConfig.path === path && 
-                            subsectionProjectTypes.includes(projectType)) {
+        rulesByProjectType.forEach((rulesByPath, projectType) => {
+            const groups = splitByPath
+                ? Array.from(rulesByPath, ([rulePath, pathRules]) => ({ rulePath, pathRules }))
+                : [{ rulePath: '', pathRules: Array.from(rulesByPath.values()).flat() }];
+
+            groups.forEach(({ rulePath, pathRules }) => {
+                // Rendered as references to the rule files of each output format when written
+                const tocEntries = [];
+                const addSection = (section, level) => {
+                    if (section.effectiveConfig.type === 'excluded') {
+                        return;
+                    }
+                    tocEntries.push({
+                        name: section.name,
+                        id: section.id,
+                        parentIds: section.parentIds,
+                        effectiveConfig: section.effectiveConfig,
+                        depth: level
+                    });
+
+                    // Subsections in another path are listed under that path
+                    Object.values(section.sections || {}).forEach(subsection => {
+                        if (subsection.effectiveConfig.path === section.effectiveConfig.path &&
+                            (subsection.effectiveConfig.projectTypes || []).includes(projectType)) {
                             addSection(subsection, level + 1);
                         }
                     });
-                }
-            };
+                };
+                pathRules.forEach(rule => addSection(rule, 0));
 
-            pathRules.forEach(rule => {
-                const ruleProjectTypes = rule.effectiveConfig.projectTypes || [];
-                if (rule.effectiveConfig.path === path && ruleProjectTypes.includes(projectType)) {
-                    addSection(rule);
+                // Only create a table of contents if there are rules in this path for this project type
+                if (tocEntries.length === 0) {
+                    return;
                 }
-            });
-
-            // Only create a table of contents if there are rules in this path for this project type
-            if (content.length > 1) {
+                const description = splitByPath
+                    ? `Complete hierarchy of rules in ${rulePath || 'root'} for ${projectType}`
+                    : `Complete hierarchy of rules for ${projectType}`;
                 tocRules.push({
                     name: 'table_of_contents',
-                    description: `Complete hierarchy of rules in ${path || 'root'} for ${projectType}`,
-                    content,
+                    id: 'table_of_contents',
+                    parentIds: [],
+                    tableOfContents: true,
+                    description,
+                    content: ['# Table of Contents\n'],
+                    tocEntries,
+                    tocConfig,
                     sections: {},
                     config: {
-                        type: 'always',
-                        path
+                        type: tocConfig.type,
+                        path: rulePath
                     },
                     effectiveConfig: {
-                        type: 'always',
-                        path,
+                        type: tocConfig.type,
+                        path: rulePath,
+                        description: tocConfig.type === 'agent_requested' ? description : null,
                         projectTypes: [projectType]  // TOC belongs to specific project type
                     }
                 });
-            }
+            });
         });
 
         return tocRules;
@@ -141,39 +195,82 @@ class RuleGenerator {
         // Get all markdown files in the directory
         const markdownFiles = await FileHandler.findMarkdownFiles(this.docsPath);
         
-        // Process each file and collect all sections
-        const allSections = {};
+        // Process each file and collect its top-level sections by id
+        const sectionsById = new Map();
         for (const file of markdownFiles) {
             const content = await FileHandler.readMdxFile(file);
-            const sections = MarkdownParser.extractSections(content.content);
-            
-            // Collect section names for this file
-            this.collectSectionNames(sections);
-            
-            // Merge sections from this file into the complete structure
-            Object.assign(allSections, sections);
+
+            // File-wide defaults from the `ai-rules` frontmatter, or opt-out with `ai-rules: false`
+            const fileConfig = ConfigParser.parseFrontmatterConfig(content.data, file);
+            if (fileConfig === false) {
+                log(`Skipping ${file} (ai-rules: false in frontmatter)`);
+                continue;
+            }
+
+            const lineMap = [];
+            const markdown = await MarkdownParser.expandDirectives(content.content, file, {
+                docsPath: this.docsPath,
+                lineOffset: MarkdownParser.getFrontmatterLineCount(content),
+                linkResolver: this.linkResolver,
+                lineMap
+            });
+            const sections = MarkdownParser.extractSections(markdown, line => (lineMap[line]
+                ? `${lineMap[line].file}:${lineMap[line].line}`
+                : `${file}, line ${line + 1} after includes`), { lenientAttributes: this.lenientAttributes });
+
+            // Remember where each section comes from, so links to it can be turned into rule references,
+            // and the lines it was written on (in an included file for included sections)
+            const sourceFile = path.relative(this.docsPath, file).split(path.sep).join('/');
+            const setSource = (fileSections) => Object.entries(fileSections).forEach(([title, section]) => {
+                section.source = {
+                    file: sourceFile,
+                    anchor: LinkResolver.slugify(title),
+                    location: this.getSourceLocation(section.lines, lineMap)
+                };
+                setSource(section.sections);
+            });
+            setSource(sections);
+
+            Object.entries(sections).forEach(([title, section]) => {
+                section.fileConfig = fileConfig;
+                // Sections are the same rule when they resolve to the same id
+                const id = ConfigParser.getSectionId(title, section.config);
+                if (!sectionsById.has(id)) {
+                    sectionsById.set(id, []);
+                }
+                sectionsById.get(id).push({ file, title, section });
+            });
         }
 
+        // Merge sections from all files into the complete structure, split before the names are
+        // collected so split parts count for description uniqueness and the parent and TOC links
+        const allSections = this.resolveDuplicateSections(sectionsById)
+            .map(([title, section]) => [title, this.splitOversizedSections(title, section)]);
+        allSections.forEach(([title, section]) => this.collectSectionNames({ [title]: section }));
+
         // Convert sections into rules with effective configs
-        const processSection = (title, section, parentConfig = null) => {
-            const effectiveConfig = ConfigParser.calculateEffectiveConfig(section, parentConfig, this.config);
+        const processSection = (title, section, parentConfig = null, parentIds = []) => {
+            const effectiveConfig = ConfigParser.calculateEffectiveConfig(section, parentConfig, this.config, section.fileConfig);
             
             // Validate the effective configuration for incompatible options
             ConfigParser.validateEffectiveConfiguration(effectiveConfig, title);
             
             const rule = {
                 name: title,
+                id: ConfigParser.getSectionId(title, section.config),
+                parentIds,  // Ids of the parent sections, used as directories in rule paths
                 description: section.config.description,
                 content: section.content || [],
                 sections: {},
                 config: section.config || {},  // Original config
-                effectiveConfig  // Add effective config
+                effectiveConfig,  // Add effective config
+                source: section.source  // Documentation file and heading anchor
             };
 
             // Process subsections
             if (section.sections) {
                 Object.entries(section.sections).forEach(([subTitle, subSection]) => {
-                    rule.sections[subTitle] = processSection(subTitle, subSection, effectiveConfig);
+                    rule.sections[subTitle] = processSection(subTitle, subSection, effectiveConfig, [...parentIds, rule.id]);
                 });
             }
 
@@ -181,7 +278,7 @@ class RuleGenerator {
         };
 
         // Convert each H1 section into a rule with effective configs
-        const rules = Object.entries(allSections).map(([title, section]) => 
+        const rules = allSections.map(([title, section]) =>
             processSection(title, section)
         );
 
@@ -191,15 +288,229 @@ class RuleGenerator {
             rules.unshift(...tocRules);
         }
 
+        this.validateOutputPaths(rules);
+        if (this.linkResolver) {
+            this.linkResolver.setRules(rules);
+        }
+
         log('----Section names available:', Object.keys(this.sectionNames || {}));
 
         return rules;
     }
 
+    /**
+     * Make sure no two sections are written to the same rule file, which would make one
+     * of them silently disappear (e.g. "Foo Bar" and "Foo-Bar" under the same parent)
+     * @param {Array} rules - Rule hierarchy
+     */
+    validateOutputPaths(rules) {
+        const outputPaths = new Map();
+        const visit = (rule, titlePath) => {
+            if (rule.effectiveConfig.type === 'excluded') {
+                return;
+            }
+            const sectionTitle = [...titlePath, rule.name].join(' > ');
+            (rule.effectiveConfig.projectTypes || []).forEach(projectType => {
+                const outputPath = path.join(projectType, rule.effectiveConfig.path, ...rule.parentIds, rule.id);
+                const existing = outputPaths.get(outputPath);
+                if (existing && existing !== sectionTitle) {
+                    throw new Error(`[ERROR] ❗ Sections "${existing}" and "${sectionTitle}" resolve to the same rule file (${outputPath}). ` +
+                        'Rename one of them or give it a different id="..."');
+                }
+                outputPaths.set(outputPath, sectionTitle);
+            });
+            Object.values(rule.sections || {}).forEach(subRule => visit(subRule, [...titlePath, rule.name]));
+        };
+        rules.forEach(rule => visit(rule, []));
+    }
+
+    /**
+     * Combine the top-level sections of all files, applying the duplicateSections policy
+     * when several files define the same H1 section (same title or id)
+     * @param {Map} sectionsById - Section id to array of {file, title, section} in file order
+     * @returns {Array} Array of [title, section] entries (titles may be namespaced)
+     */
+    resolveDuplicateSections(sectionsById) {
+        const policy = this.config.duplicateSections;
+        if (!DUPLICATE_SECTION_POLICIES.includes(policy)) {
+            throw new Error(`[ERROR] ❗ Invalid duplicateSections: ${policy}. Must be one of: ${DUPLICATE_SECTION_POLICIES.join(', ')}`);
+        }
+
+        const allSections = [];
+        sectionsById.forEach(sources => {
+            const { title } = sources[0];
+            if (sources.length === 1) {
+                allSections.push([title, sources[0].section]);
+                return;
+            }
+
+            const files = sources.map(source => source.file);
+            const titles = Array.from(new Set(sources.map(source => `"${source.title}"`))).join(' / ');
+            if (policy === 'error') {
+                throw new Error(`[ERROR] ❗ Duplicate top-level section ${titles} in ${files.join(', ')}. ` +
+                    `Rename one of them or set duplicateSections to 'merge' or 'namespace'`);
+            }
+
+            if (policy === 'merge') {
+                console.log(`Merging top-level section ${titles} from ${files.join(', ')}`);
+                allSections.push([title, sources
+                    .map(source => source.section)
+                    .reduce((merged, section) => this.mergeSections(merged, section))]);
+            } else {
+                console.log(`Namespacing top-level section ${titles} from ${files.join(', ')}`);
+                sources.forEach(({ file, title: sourceTitle, section }) => {
+                    const namespace = this.getFileNamespace(file);
+                    // Explicit ids are namespaced too, otherwise the rules would still share a file
+                    const config = section.config.id
+                        ? { ...section.config, id: `${ConfigParser.formatTitle(namespace)}_${section.config.id}` }
+                        : section.config;
+                    allSections.push([`${namespace}: ${sourceTitle}`, { ...section, config }]);
+                });
+            }
+        });
+
+        return allSections;
+    }
+
+    /**
+     * Merge two sections with the same title: content is concatenated, subsections with the
+     * same title are merged recursively and settings of the first section win
+     * @param {object} target - First section
+     * @param {object} source - Section merged into it
+     * @returns {object} Merged section
+     */
+    mergeSections(target, source) {
+        const targetConfig = Object.fromEntries(
+            Object.entries(target.config).filter(([, value]) => value !== null && value !== undefined)
+        );
+        const sections = { ...target.sections };
+        Object.entries(source.sections).forEach(([title, section]) => {
+            sections[title] = sections[title] ? this.mergeSections(sections[title], section) : section;
+        });
+
+        return {
+            ...target,
+            config: { ...source.config, ...targetConfig },
+            content: target.content.length > 0 && source.content.length > 0
+                ? [...target.content, '', ...source.content]
+                : [...target.content, ...source.content],
+            sections
+        };
+    }
+
+    /**
+     * Split the sections over maxRuleTokens (with splitOversizedRules), subsections and split parts included
+     * @param {string} title - Section title
+     * @param {object} section - Section
+     * @returns {object} Section with its oversized sections split
+     */
+    splitOversizedSections(title, section) {
+        if (this.config.splitOversizedRules && this.config.maxRuleTokens &&
+            TokenBudget.estimateTokens(section.content.join('\n')) > this.config.maxRuleTokens) {
+            section = this.splitOversizedSection(title, section);
+        }
+        if (!section.sections) {
+            return section;
+        }
+        const sections = {};
+        Object.entries(section.sections).forEach(([subTitle, subSection]) => {
+            sections[subTitle] = this.splitOversizedSections(subTitle, subSection);
+        });
+        return { ...section, sections };
+    }
+
+    /**
+     * Turn the subheadings in the content of a section (e.g. unified subsections) into subsections,
+     * so an oversized rule is written as a shorter rule with child rules
+     * @param {string} title - Section title
+     * @param {object} section - Section over maxRuleTokens
+     * @returns {object} Section keeping the content before its first subheading
+     */
+    splitOversizedSection(title, section) {
+        const { headings } = MarkdownParser.classifyLines(section.content.join('\n'));
+        if (headings.size === 0) {
+            console.warn(`[WARNING] ⚠️ Section "${title}" is over maxRuleTokens (${this.config.maxRuleTokens}) but has no subheadings to split it at`);
+            return section;
+        }
+
+        const firstHeading = Math.min(...headings.keys());
+        const subsectionContent = MarkdownParser.shiftHeadings(section.content.slice(firstHeading).join('\n'), 0, null);
+        const subsections = MarkdownParser.extractSections(subsectionContent, undefined, { lenientAttributes: this.lenientAttributes });
+        // Split subsections point to the lines of the section they come from
+        const setSource = (splitSections) => Object.entries(splitSections).forEach(([subTitle, subsection]) => {
+            subsection.source = section.source && { ...section.source, anchor: LinkResolver.slugify(subTitle) };
+            setSource(subsection.sections);
+        });
+        setSource(subsections);
+
+        console.log(`Splitting section "${title}" (over maxRuleTokens) into: ${Object.keys(subsections).join(', ')}`);
+        const content = section.content.slice(0, firstHeading);
+        while (content.length > 0 && !content[content.length - 1].trim()) {
+            content.pop();
+        }
+        return {
+            ...section,
+            config: { ...section.config, unifySubsections: false },
+            content,
+            sections: { ...subsections, ...section.sections }
+        };
+    }
+
+    /**
+     * File and lines of the docs repository a section was written on
+     * @param {object} lines - { start, end } of the section in the expanded content
+     * @param {Array} lineMap - Origin ({ file, line }) of each expanded line
+     * @returns {object} { file, startLine, endLine }, ending with the last line in the file of the heading
+     */
+    getSourceLocation(lines, lineMap) {
+        const heading = lineMap[lines.start];
+        let endLine = heading.line;
+        for (let index = lines.start; index <= lines.end; index++) {
+            if (lineMap[index] && lineMap[index].file === heading.file) {
+                endLine = Math.max(endLine, lineMap[index].line);
+            }
+        }
+        return { file: heading.file, startLine: heading.line, endLine };
+    }
+
+    /**
+     * Prefix identifying a documentation file in namespaced section titles
+     * @param {string} file - Path of the documentation file
+     * @returns {string} File path relative to docsPath without extension (e.g. 'teams/frontend')
+     */
+    getFileNamespace(file) {
+        return path.relative(this.docsPath, file)
+            .replace(/\.mdx?$/, '')
+            .split(path.sep)
+            .join('/');
+    }
+
+    /**
+     * Collect every output format requested by the config, either as the global
+     * default or by a branch strategy, so a single generation serves all target repos
+     * @returns {Array} Array of format names (e.g. ['cursor', 'windsurf'])
+     */
+    getOutputFormats() {
+        const formats = new Set(this.config.defaultFormats);
+        (this.config.branchStrategy || []).forEach(strategy => {
+            (strategy.formats || []).forEach(format => formats.add(format));
+        });
+        return Array.from(formats);
+    }
+
     async writeRules(rules) {
         // Remove sectionNames from config and pass it separately
         const { sectionNames } = this;
-        await FileHandler.writeRuleFiles(rules, this.config, sectionNames);
+        if (!SUBSECTION_LINK_STYLES.includes(this.config.subsectionLinks)) {
+            throw new Error(`[ERROR] ❗ Invalid subsectionLinks: ${this.config.subsectionLinks}. Must be one of: ${SUBSECTION_LINK_STYLES.join(', ')}`);
+        }
+        await FileHandler.writeRuleFiles(rules, {
+            ...this.config,
+            formats: this.getOutputFormats(),
+            adapterRegistry: this.adapterRegistry,
+            linkResolver: this.linkResolver,
+            docsCommit: this.docsCommit
+        }, sectionNames);
     }
 }
 
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const ConfigParser = require('./configParser');
+const FileHandler = require('./fileHandler');
+const MarkdownParser = require('./markdownParser');
+const RuleGenerator = require('./ruleGenerator');
+
+// Severities from the most to the least severe, named after SARIF levels
+const SEVERITIES = ['error', 'warning', 'note'];
+
+// Checks of the linter, with their default severity
+const CHECKS = {
+    'generation-error': { severity: 'error', description: 'The documentation can not be turned into rules' },
+    'unknown-attribute': { severity: 'error', description: 'Unknown attribute in an ai-rules comment' },
+    'malformed-attribute': { severity: 'error', description: 'Attribute that can not be parsed or has a value of the wrong kind' },
+    'unknown-type': { severity: 'error', description: 'Unknown rule type' },
+    'invalid-globs': { severity: 'error', description: 'Invalid glob syntax' },
+    'missing-globs': { severity: 'error', description: 'auto_attached rule without globs' },
+    'empty-rule': { severity: 'warning', description: 'Rule without content or subsection rules' },
+    'ineffective-globs': { severity: 'warning', description: 'globs on a rule that is not auto_attached' },
+    'ineffective-description': { severity: 'warning', description: 'description on a rule that is not agent_requested' },
+    'duplicate-description': { severity: 'warning', description: 'Several rules with the same description' },
+    'unused-project-type': { severity: 'warning', description: 'Project type not exported to any repository' },
+    'broken-link': { severity: 'warning', description: 'Link to a missing file or heading' }
+};
+// Check reporting each kind of problem found by ConfigParser.readConfigAttributes
+const PROBLEM_CHECKS = {
+    unknown: 'unknown-attribute',
+    'unknown-value': 'unknown-type',
+    malformed: 'malformed-attribute'
+};
+
+/**
+ * Checks the documentation without writing anything: the ai-rules comments of every markdown
+ * file, then the rules the generator would write. Findings have a check id, a severity
+ * (error, warning, note), a message and the file and line they were found at.
+ */
+class RuleLinter {
+    constructor(docsPath, config = {}, adapterRegistry = undefined) {
+        this.docsPath = docsPath;
+        this.config = config;
+        this.adapterRegistry = adapterRegistry;
+        this.findings = [];
+    }
+
+    /**
+     * Run every check
+     * @returns {Promise<Array>} Findings sorted by file and line
+     */
+    async lint() {
+        this.findings = [];
+
+        for (const file of await FileHandler.findMarkdownFiles(this.docsPath)) {
+            this.lintComments(file, await FileHandler.readMdxFile(file));
+        }
+
+        // Attribute problems are all reported above, so they don't stop the generation and its checks
+        const generator = new RuleGenerator(this.docsPath, this.config, this.adapterRegistry);
+        generator.lenientAttributes = true;
+        let rules = null;
+        try {
+            rules = await generator.generateRules();
+        } catch (error) {
+            this.add('generation-error', error.message.replace(/^\[ERROR\] ❗\s*/, ''), this.findLocation(error.message));
+        }
+        if (rules) {
+            this.lintRules(rules.filter(rule => !rule.tableOfContents));
+        }
+
+        (generator.linkResolver ? generator.linkResolver.brokenLinks : []).forEach(link => {
+            this.add('broken-link', `Broken link "${link.target}": ${link.reason}`, this.findLocation(link.location));
+        });
+
+        return this.findings.sort((a, b) =>
+            (a.file || '').localeCompare(b.file || '') || (a.line || 0) - (b.line || 0));
+    }
+
+    /**
+     * Check the attributes of the ai-rules comments of a file
+     * @param {string} file - Markdown file
+     * @param {object} content - gray-matter result
+     */
+    lintComments(file, content) {
+        const lineOffset = MarkdownParser.getFrontmatterLineCount(content);
+        MarkdownParser.findConfigComments(content.content).forEach(comment => {
+            const location = { file, line: lineOffset + comment.line + 1 };
+
+            const { config, problems } = ConfigParser.readConfigAttributes(comment.attributes);
+            problems.forEach(problem => this.add(PROBLEM_CHECKS[problem.kind], problem.message, location));
+
+            const globsProblem = config.globs ? RuleLinter.checkGlobs(config.globs) : null;
+            if (globsProblem) {
+                this.add('invalid-globs', `Invalid globs "${config.globs}": ${globsProblem}`, location);
+            }
+        });
+    }
+
+    /**
+     * Check the rules the generator would write
+     * @param {Array} rules - Rule hierarchy without table of contents rules
+     */
+    lintRules(rules) {
+        const exportedProjectTypes = new Set(Object.values(this.config.exports || {}).flat());
+        const unusedProjectTypes = new Set();
+        const descriptions = new Map();
+
+        const visit = (rule) => {
+            const { type, globs, description, projectTypes = [] } = rule.effectiveConfig;
+            if (type === 'excluded') {
+                return;
+            }
+            const location = rule.source && rule.source.location
+                ? { file: rule.source.location.file, line: rule.source.location.startLine }
+                : {};
+            const subsections = Object.values(rule.sections || {}).filter(subRule => subRule.effectiveConfig.type !== 'excluded');
+
+            if (!rule.content.some(line => line.trim()) && subsections.length === 0) {
+                this.add('empty-rule', `Rule "${rule.name}" has no content`, location);
+            }
+            if (type === 'auto_attached' && !globs) {
+                this.add('missing-globs', `Rule "${rule.name}" is auto_attached but has no globs`, location);
+            }
+            if (globs && type !== 'auto_attached') {
+                this.add('ineffective-globs', `Rule "${rule.name}" has globs="${globs}" but type="${type}" (globs only work with auto_attached)`, location);
+            }
+            if (description && type !== 'agent_requested') {
+                this.add('ineffective-description', `Rule "${rule.name}" has a description but type="${type}" (descriptions only work with agent_requested)`, location);
+            }
+            if (description) {
+                const key = description.trim().toLowerCase();
+                if (descriptions.has(key)) {
+                    this.add('duplicate-description', `Rule "${rule.name}" has the same description as "${descriptions.get(key)}"`, location);
+                } else {
+                    descriptions.set(key, rule.name);
+                }
+            }
+            if (exportedProjectTypes.size > 0) {
+                projectTypes
+                    .filter(projectType => !exportedProjectTypes.has(projectType) && !unusedProjectTypes.has(projectType))
+                    .forEach(projectType => {
+                        unusedProjectTypes.add(projectType);
+                        this.add('unused-project-type', `Project type "${projectType}" of rule "${rule.name}" is not exported to any repository`, location);
+                    });
+            }
+
+            subsections.forEach(visit);
+        };
+        rules.forEach(visit);
+    }
+
+    /**
+     * Check the syntax of comma-separated globs
+     * @param {string} globs - Globs (e.g. "*.ts,src/{a,b}/**")
+     * @returns {string|null} Problem found, or null when valid
+     */
+    static checkGlobs(globs) {
+        const patterns = [];
+        let current = '';
+        let braceDepth = 0;
+        let inBrackets = false;
+        for (const char of globs) {
+            if (char === '[' && !inBrackets) inBrackets = true;
+            else if (char === ']' && inBrackets) inBrackets = false;
+            else if (char === '{' && !inBrackets) braceDepth++;
+            else if (char === '}' && !inBrackets) {
+                if (--braceDepth < 0) {
+                    return 'unmatched "}"';
+                }
+            }
+
+            if (char === ',' && braceDepth === 0 && !inBrackets) {
+                patterns.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        patterns.push(current);
+
+        if (braceDepth > 0) {
+            return 'unclosed "{"';
+        }
+        if (inBrackets) {
+            return 'unclosed "["';
+        }
+        if (patterns.some(pattern => !pattern.trim())) {
+            return 'empty pattern';
+        }
+        if (patterns.some(pattern => pattern.trim() !== pattern)) {
+            return 'whitespace around a pattern';
+        }
+        if (patterns.some(pattern => pattern.startsWith('/'))) {
+            return 'patterns are relative to the repository, not absolute';
+        }
+        return null;
+    }
+
+    add(check, message, location = {}) {
+        this.findings.push({
+            check,
+            severity: CHECKS[check].severity,
+            message,
+            file: location.file ? path.relative(process.cwd(), path.resolve(location.file)).split(path.sep).join('/') : null,
+            line: location.line || null
+        });
+    }
+
+    /**
+     * File and line mentioned in a message (`docs/guide.md:12`, relative to the repository or docsPath)
+     * @param {string} text - Message or location
+     * @returns {object} { file, line }, empty when none is found
+     */
+    findLocation(text) {
+        const match = text.match(/([^\s"'(),→]+\.mdx?):(\d+)/);
+        if (!match) {
+            return {};
+        }
+        const file = fs.existsSync(match[1]) ? match[1] : path.join(this.docsPath, match[1]);
+        return { file, line: Number(match[2]) };
+    }
+
+    /**
+     * Whether findings reach a severity threshold
+     * @param {Array} findings - Lint findings
+     * @param {string} failOn - 'error', 'warning', 'note' or 'none'
+     * @returns {boolean} True if a finding is at least as severe as failOn
+     */
+    static exceedsThreshold(findings, failOn) {
+        if (failOn === 'none') {
+            return false;
+        }
+        if (!SEVERITIES.includes(failOn)) {
+            throw new Error(`[ERROR] ❗ Invalid severity threshold: ${failOn}. Must be one of: ${SEVERITIES.join(', ')}, none`);
+        }
+        return findings.some(finding => SEVERITIES.indexOf(finding.severity) <= SEVERITIES.indexOf(failOn));
+    }
+
+    /**
+     * Human-readable report
+     * @param {Array} findings - Lint findings
+     * @returns {string} One line per finding and a summary
+     */
+    static formatText(findings) {
+        const lines = findings.map(finding => {
+            const location = finding.file ? `${finding.file}${finding.line ? `:${finding.line}` : ''}` : '(config)';
+            return `${location}: ${finding.severity}: ${finding.message} [${finding.check}]`;
+        });
+        const counts = SEVERITIES.map(severity => `${findings.filter(finding => finding.severity === severity).length} ${severity}(s)`);
+        lines.push(findings.length > 0 ? `Found ${counts.join(', ')}` : 'No problems found');
+        return lines.join('\n');
+    }
+
+    static formatJson(findings) {
+        return JSON.stringify({ findings }, null, 2);
+    }
+
+    /**
+     * SARIF 2.1.0 report, for code scanning annotations on pull requests
+     * @param {Array} findings - Lint findings
+     * @returns {string} SARIF JSON
+     */
+    static formatSarif(findings) {
+        return JSON.stringify({
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'ai-rules-lint',
+                        rules: Object.entries(CHECKS).map(([id, check]) => ({
+                            id,
+                            shortDescription: { text: check.description },
+                            defaultConfiguration: { level: check.severity }
+                        }))
+                    }
+                },
+                results: findings.map(finding => ({
+                    ruleId: finding.check,
+                    level: finding.severity,
+                    message: { text: finding.message },
+                    locations: finding.file ? [{
+                        physicalLocation: {
+                            artifactLocation: { uri: finding.file },
+                            ...(finding.line ? { region: { startLine: finding.line } } : {})
+                        }
+                    }] : []
+                }))
+            }]
+        }, null, 2);
+    }
+}
+
+RuleLinter.SEVERITIES = SEVERITIES;
+RuleLinter.CHECKS = CHECKS;
+
+module.exports = RuleLinter;
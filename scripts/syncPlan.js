@@ -0,0 +1,160 @@
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+
+// `git diff --name-status` letters, anything else (e.g. T for a type change) counts as modified
+const FILE_STATUSES = { A: 'added', M: 'modified', D: 'deleted' };
+// Job summaries are limited to 1 MiB, the JSON plan keeps the full diffs
+const MAX_SUMMARY_DIFF_LINES = 200;
+
+/**
+ * What a sync would change in every target repository, collected in plan mode from scratch
+ * checkouts where the rules were copied but nothing was committed. Stored as a JSON file
+ * ({ commit, repos }) that grows as repositories are processed, and rendered as a Markdown job summary.
+ */
+class SyncPlan {
+    constructor(planPath) {
+        this.planPath = planPath;
+    }
+
+    /**
+     * Start an empty plan
+     * @param {string|null} commit - Docs commit the rules were generated from
+     */
+    start(commit) {
+        this.write({ commit, repos: [] });
+    }
+
+    read() {
+        return JSON.parse(fs.readFileSync(this.planPath, 'utf8'));
+    }
+
+    write(plan) {
+        fs.writeFileSync(this.planPath, JSON.stringify(plan, null, 2) + '\n');
+    }
+
+    /**
+     * Record the changes of a scratch checkout
+     * @param {string} repo - Repository name (e.g., 'org/repo-name')
+     * @param {string} repoDir - Checkout the rules were copied to
+     * @param {object} strategy - Branch strategy of the repository
+     * @returns {object} Plan entry of the repository
+     */
+    addRepo(repo, repoDir, strategy) {
+        const files = SyncPlan.readChanges(repoDir);
+        return this.addEntry({
+            repo,
+            mode: strategy.mode,
+            targetBranch: strategy.targetBranch,
+            status: files.length > 0 ? 'changes' : 'no-changes',
+            summary: SyncPlan.summarize(files),
+            files
+        });
+    }
+
+    /**
+     * Record a repository that could not be planned (e.g. no access, missing target branch)
+     * @param {string} repo - Repository name
+     * @param {string} message - What went wrong
+     * @returns {object} Plan entry of the repository
+     */
+    addError(repo, message) {
+        return this.addEntry({ repo, status: 'error', error: message, summary: SyncPlan.summarize([]), files: [] });
+    }
+
+    addEntry(entry) {
+        const plan = this.read();
+        plan.repos.push(entry);
+        this.write(plan);
+        return entry;
+    }
+
+    /**
+     * Files added, modified and deleted in a checkout, with their unified diffs. Stages every change.
+     * @param {string} repoDir - Git checkout
+     * @returns {Array} Array of { path, status, diff } sorted by path
+     */
+    static readChanges(repoDir) {
+        const git = (...args) => execFileSync('git', args, { cwd: repoDir, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+        git('add', '-A');
+
+        return git('diff', '--cached', '--name-status', '--no-renames', '-z')
+            .split('\0')
+            .filter(Boolean)
+            .reduce((pairs, item, index, items) => (index % 2 === 0 ? [...pairs, [item, items[index + 1]]] : pairs), [])
+            .map(([status, filePath]) => ({
+                path: filePath,
+                status: FILE_STATUSES[status] || 'modified',
+                diff: git('diff', '--cached', '--no-color', '--no-ext-diff', '--', filePath)
+            }))
+            .sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    static summarize(files) {
+        return Object.fromEntries(Object.values(FILE_STATUSES)
+            .map(status => [status, files.filter(file => file.status === status).length]));
+    }
+
+    /**
+     * Markdown job summary: a table of the repositories, then the diffs of each of them
+     * @param {object} plan - Plan ({ commit, repos })
+     * @returns {string} Markdown
+     */
+    static formatMarkdown(plan) {
+        const lines = [
+            '## AI rules plan',
+            '',
+            `Rules generated from ${plan.commit ? `\`${plan.commit.slice(0, 12)}\`` : 'the working tree'}. Nothing was committed or pushed.`,
+            ''
+        ];
+        if (plan.repos.length === 0) {
+            lines.push('No target repositories.');
+            return lines.join('\n');
+        }
+
+        lines.push('| Repository | Branch | Added | Modified | Deleted |', '|---|---|---|---|---|');
+        plan.repos.forEach(entry => {
+            const counts = entry.status === 'error'
+                ? `⚠️ ${entry.error} | | `
+                : `${entry.summary.added} | ${entry.summary.modified} | ${entry.summary.deleted}`;
+            lines.push(`| \`${entry.repo}\` | ${entry.targetBranch ? `\`${entry.targetBranch}\`` : ''} | ${counts} |`);
+        });
+
+        plan.repos.filter(entry => entry.files.length > 0).forEach(entry => {
+            lines.push('', `### ${entry.repo}`, '');
+            entry.files.forEach(file => {
+                const diffLines = file.diff.trimEnd().split('\n');
+                const shown = diffLines.slice(0, MAX_SUMMARY_DIFF_LINES);
+                // Longer than any backtick fence inside the rules
+                const fence = '`'.repeat(Math.max(3, ...shown.map(line => (line.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length + 1), 0))));
+                lines.push(
+                    '<details>',
+                    `<summary>${file.status}: <code>${file.path}</code></summary>`,
+                    '',
+                    `${fence}diff`,
+                    ...shown,
+                    fence,
+                    ...(diffLines.length > shown.length ? ['', `${diffLines.length - shown.length} more lines in the JSON plan.`] : []),
+                    '</details>'
+                );
+            });
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * One line per repository, for the logs
+     * @param {object} plan - Plan ({ commit, repos })
+     * @returns {string} Text
+     */
+    static formatText(plan) {
+        return plan.repos.map(entry => (entry.status === 'error'
+            ? `- ${entry.repo}: ${entry.error}`
+            : `- ${entry.repo}: ${entry.summary.added} added, ${entry.summary.modified} modified, ${entry.summary.deleted} deleted`
+        )).join('\n') || 'No target repositories';
+    }
+}
+
+SyncPlan.MAX_SUMMARY_DIFF_LINES = MAX_SUMMARY_DIFF_LINES;
+
+module.exports = SyncPlan;
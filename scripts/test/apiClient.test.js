@@ -0,0 +1,127 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ApiClient = require('../apiClient');
+
+describe('ApiClient.request', () => {
+    const originalFetch = global.fetch;
+    let responses;
+    let requests;
+    let sleeps;
+    let client;
+
+    // Answers the requests in order; an Error is thrown like a network failure
+    const respond = (...items) => {
+        responses = items;
+    };
+    const json = (status, body, headers = {}) => new Response(body === undefined ? null : JSON.stringify(body), { status, headers });
+
+    beforeEach(() => {
+        requests = [];
+        sleeps = [];
+        global.fetch = async (url, init) => {
+            requests.push({ url, ...init });
+            const response = responses.shift();
+            if (response instanceof Error) {
+                throw response;
+            }
+            return response;
+        };
+        mock.method(console, 'warn', () => {});
+        client = new ApiClient('https://api.example.com/', { Authorization: 'token t' }, {
+            name: 'Example',
+            sleep: async ms => sleeps.push(ms)
+        });
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        mock.restoreAll();
+    });
+
+    it('sends JSON bodies and returns the parsed response', async () => {
+        respond(json(201, { number: 7 }));
+        assert.deepEqual(await client.request('POST', '/repos/org/app/pulls', { title: 'Sync' }), { number: 7 });
+        assert.equal(requests[0].url, 'https://api.example.com/repos/org/app/pulls');
+        assert.equal(requests[0].body, '{"title":"Sync"}');
+        assert.equal(requests[0].headers['Content-Type'], 'application/json');
+        assert.equal(requests[0].headers.Authorization, 'token t');
+    });
+
+    it('returns null for empty responses', async () => {
+        respond(json(204));
+        assert.equal(await client.request('DELETE', '/branches/x'), null);
+    });
+
+    it('retries server errors with exponential backoff', async () => {
+        respond(json(502, { message: 'Bad gateway' }), json(503, { message: 'Unavailable' }), json(200, []));
+        assert.deepEqual(await client.request('GET', '/pulls'), []);
+        assert.deepEqual(sleeps, [1000, 2000]);
+    });
+
+    it('does not retry server errors of POST requests', async () => {
+        respond(json(502, { message: 'Bad gateway' }), json(201, {}));
+        await assert.rejects(client.request('POST', '/pulls', {}), error => {
+            assert.equal(error.status, 502);
+            assert.match(error.message, /Example API POST \/pulls failed \(502\): Bad gateway/);
+            return true;
+        });
+        assert.equal(requests.length, 1);
+    });
+
+    it('retries network errors, also for POST', async () => {
+        respond(new Error('ECONNRESET'), json(201, { id: 1 }));
+        assert.deepEqual(await client.request('POST', '/pulls', {}), { id: 1 });
+        assert.deepEqual(sleeps, [1000]);
+    });
+
+    it('gives up after maxRetries', async () => {
+        respond(...Array.from({ length: ApiClient.MAX_RETRIES + 1 }, () => json(500, { message: 'Boom' })));
+        await assert.rejects(client.request('GET', '/pulls'), /failed \(500\): Boom/);
+        assert.equal(requests.length, ApiClient.MAX_RETRIES + 1);
+    });
+
+    it('waits for Retry-After seconds on rate limits', async () => {
+        respond(json(429, { message: 'Too many requests' }, { 'Retry-After': '7' }), json(200, { ok: true }));
+        assert.deepEqual(await client.request('POST', '/pulls', {}), { ok: true });
+        assert.deepEqual(sleeps, [7000]);
+    });
+
+    it('waits until an HTTP-date Retry-After', async () => {
+        const date = new Date(Date.now() + 30 * 1000).toUTCString();
+        respond(json(403, { message: 'Slow down' }, { 'Retry-After': date }), json(200, {}));
+        await client.request('GET', '/pulls');
+        assert.ok(sleeps[0] > 25 * 1000 && sleeps[0] <= 30 * 1000, `waited ${sleeps[0]}ms`);
+    });
+
+    it('waits for the rate limit reset when no requests remain', async () => {
+        const reset = String(Math.ceil(Date.now() / 1000) + 10);
+        respond(json(403, { message: 'API rate limit exceeded' }, { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': reset }), json(200, {}));
+        await client.request('GET', '/pulls');
+        assert.ok(sleeps[0] > 9 * 1000 && sleeps[0] <= 11 * 1000, `waited ${sleeps[0]}ms`);
+    });
+
+    it('fails at once when the wait would be too long', async () => {
+        respond(json(429, { message: 'Too many requests' }, { 'Retry-After': '3600' }));
+        await assert.rejects(client.request('GET', '/pulls'), /failed \(429\)/);
+        assert.deepEqual(sleeps, []);
+    });
+
+    it('does not retry other client errors', async () => {
+        respond(json(403, { message: 'Resource not accessible by integration' }));
+        await assert.rejects(client.request('GET', '/pulls'), /failed \(403\): Resource not accessible by integration/);
+        assert.equal(requests.length, 1);
+    });
+});
+
+describe('ApiClient.getErrorMessage', () => {
+    it('joins the messages of GitHub, GitLab and Gitea errors', () => {
+        assert.equal(
+            ApiClient.getErrorMessage({ message: 'Validation Failed', errors: [{ message: 'A pull request already exists for org:branch.' }] }),
+            'Validation Failed: A pull request already exists for org:branch.'
+        );
+        assert.equal(ApiClient.getErrorMessage({ message: { source_branch: ['is invalid'] } }), 'source_branch is invalid');
+        assert.equal(ApiClient.getErrorMessage({ error: 'insufficient_scope' }), 'insufficient_scope');
+        assert.equal(ApiClient.getErrorMessage(null, '  <html>Bad gateway</html> '), '<html>Bad gateway</html>');
+        assert.equal(ApiClient.getErrorMessage(null, ''), 'no response body');
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigLoader = require('../configLoader');
+
+describe('ConfigLoader.load', () => {
+    let dir;
+    const write = (name, text) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, text);
+        return file;
+    };
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-rules-config-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('applies the defaults of the schema', () => {
+        const config = ConfigLoader.load(write('minimal.yml', 'docsPath: docs\n'));
+        assert.equal(config.docsPath, 'docs');
+        assert.equal(config.defaultRuleType, 'agent_requested');
+        assert.deepEqual(config.defaultProjectTypes, ['general']);
+    });
+
+    it('loads an empty file with the defaults', () => {
+        assert.equal(ConfigLoader.load(write('empty.yml', '')).docsPath, '.');
+    });
+
+    it('fails for a missing file', () => {
+        assert.throws(() => ConfigLoader.load(path.join(dir, 'missing.yml')), /Config file does not exist: .*missing\.yml/);
+    });
+
+    it('fails for invalid YAML with the line and column', () => {
+        assert.throws(
+            () => ConfigLoader.load(write('broken.yml', 'docsPath: docs\nexports: [unclosed\n')),
+            /Invalid YAML in .*broken\.yml at line 3, column 1/
+        );
+    });
+
+    it('reports every schema problem with its path and line', () => {
+        const file = write('invalid.yml', [
+            'docsPath: docs',
+            'exprots: {}',
+            'defaultRuleType: sometimes',
+            'branchStrategy:',
+            '  - repoTargets: org/app',
+            '    mode: direct_commit',
+            '    targetBranch: main',
+            '  - repoTargets: org/web',
+            '    mode: unique_branch_pr',
+            '    targetBranch: main',
+            '    formats: [cursor, vim]'
+        ].join('\n'));
+        assert.throws(() => ConfigLoader.load(file), error => {
+            const lines = error.message.split('\n');
+            assert.match(lines[0], /^\[ERROR\] ❗ Invalid config .*invalid\.yml:$/);
+            assert.ok(lines.includes('  - exprots (line 2): unknown property (did you mean "exports"?)'), error.message);
+            assert.ok(lines.some(line => line.startsWith('  - defaultRuleType (line 3): must be one of always, ')), error.message);
+            assert.ok(lines.includes('  - branchStrategy[1] (line 8): branchName is required for mode unique_branch_pr'), error.message);
+            assert.ok(lines.some(line => line.startsWith('  - branchStrategy[1].formats[1] (line 11): unknown output format "vim"')), error.message);
+            return true;
+        });
+    });
+
+    it('reports invalid export targets', () => {
+        assert.throws(
+            () => ConfigLoader.load(write('targets.yml', "exports:\n  'not a target': ['general']\n")),
+            /exports\["not a target"\] \(line 2\): Invalid target "not a target"/
+        );
+    });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ConfigParser = require('../configParser');
+
+describe('ConfigParser.readConfigAttributes', () => {
+    it('reads quoted, bare, array and boolean values', () => {
+        const { config, problems } = ConfigParser.readConfigAttributes(
+            `type=always path='custom/path' globs=["*.tsx", '*.jsx'] projectTypes="react, vue" unifySubsections`);
+        assert.deepEqual(problems, []);
+        assert.deepEqual(config, {
+            type: 'always',
+            path: 'custom/path',
+            globs: '*.tsx,*.jsx',
+            projectTypes: ['react', 'vue'],
+            unifySubsections: true
+        });
+    });
+
+    it('unescapes quotes and backslashes inside quotes', () => {
+        const { config } = ConfigParser.readConfigAttributes(String.raw`description="Say \"hi\" to C:\\temp" id='it\'s'`);
+        assert.equal(config.description, 'Say "hi" to C:\\temp');
+        assert.equal(config.id, "it's");
+    });
+
+    it('reads projectTypes given as a JSON array in a string', () => {
+        const { config } = ConfigParser.readConfigAttributes(`projectTypes='["a", "b"]'`);
+        assert.deepEqual(config.projectTypes, ['a', 'b']);
+    });
+
+    it('keeps commas inside braces of globs', () => {
+        const { config } = ConfigParser.readConfigAttributes('globs="src/{a,b}/**,*.md"');
+        assert.equal(config.globs, 'src/{a,b}/**,*.md');
+    });
+
+    it('reads boolean strings', () => {
+        assert.equal(ConfigParser.readConfigAttributes('unifySubsections="false"').config.unifySubsections, false);
+        assert.equal(ConfigParser.readConfigAttributes('unifySubsections=TRUE').config.unifySubsections, true);
+    });
+
+    it('reports unknown attributes and keeps the others', () => {
+        const { config, problems } = ConfigParser.readConfigAttributes('colour="red" type="manual"');
+        assert.deepEqual(config, { type: 'manual' });
+        assert.equal(problems.length, 1);
+        assert.equal(problems[0].kind, 'unknown');
+        assert.match(problems[0].message, /Unknown attribute "colour"/);
+    });
+
+    it('reports unknown rule types', () => {
+        const { config, problems } = ConfigParser.readConfigAttributes('type="alwyas"');
+        assert.deepEqual(config, {});
+        assert.equal(problems[0].kind, 'unknown-value');
+        assert.match(problems[0].message, /Unknown type "alwyas" \(supported: always, /);
+    });
+
+    it('reports values of the wrong kind', () => {
+        const cases = {
+            'type=["always"]': /Invalid attribute type: expected a string, got a list/,
+            'unifySubsections="yes"': /Invalid attribute unifySubsections: expected true or false/,
+            'globs=[]': /Invalid attribute globs: empty list/,
+            'path="a" path="b"': /Attribute "path" is set twice/
+        };
+        Object.entries(cases).forEach(([attributes, message]) => {
+            const { problems } = ConfigParser.readConfigAttributes(attributes);
+            assert.equal(problems[0].kind, 'malformed', attributes);
+            assert.match(problems[0].message, message);
+        });
+    });
+
+    it('reports unclosed quotes and brackets', () => {
+        assert.match(ConfigParser.readConfigAttributes('description="open').problems[0].message, /unclosed "/);
+        assert.match(ConfigParser.readConfigAttributes('globs=["*.ts"').problems[0].message, /unclosed \[/);
+    });
+
+    it('reads the attributes of directives', () => {
+        const { config, problems } = ConfigParser.readConfigAttributes('file="shared/common.md" section=Logging', { file: 'string', section: 'string' });
+        assert.deepEqual(problems, []);
+        assert.deepEqual(config, { file: 'shared/common.md', section: 'Logging' });
+    });
+});
+
+describe('ConfigParser.parseConfigAttributes', () => {
+    it('throws the first problem with the location of the comment', () => {
+        assert.throws(
+            () => ConfigParser.parseConfigAttributes('type="sometimes"', 'docs/guide.md:12'),
+            /^Error: \[ERROR\] ❗ Unknown type "sometimes" .* in ai-rules comment at docs\/guide\.md:12$/
+        );
+    });
+
+    it('returns only the attributes that are set', () => {
+        assert.deepEqual(ConfigParser.parseConfigAttributes(' description="Auth" '), { description: 'Auth' });
+    });
+});
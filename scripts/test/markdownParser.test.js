@@ -0,0 +1,143 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MarkdownParser = require('../markdownParser');
+
+describe('MarkdownParser.classifyLines', () => {
+    it('finds ATX and setext headings but not lines in code', () => {
+        const { headings, codeLines } = MarkdownParser.classifyLines([
+            '# Title #',
+            '',
+            'Setext',
+            '======',
+            '',
+            '```sh',
+            '# not a heading',
+            '```'
+        ].join('\n'));
+        assert.deepEqual(Array.from(headings.keys()), [0, 2]);
+        assert.equal(headings.get(0).title, 'Title');
+        assert.deepEqual(headings.get(2), { level: 1, title: 'Setext', endLine: 4 });
+        assert.deepEqual(Array.from(codeLines), [5, 6, 7]);
+    });
+
+    it('finds config comments inside paragraphs, but not in inline code', () => {
+        const { inlineConfigs } = MarkdownParser.classifyLines('Use `<!-- ai-rules type="manual" -->` here. <!-- ai-rules type="always" -->');
+        assert.deepEqual(inlineConfigs.get(0).map(config => config.attributes), [' type="always" ']);
+    });
+});
+
+describe('MarkdownParser.extractSections', () => {
+    it('nests sections and applies the comments configuring them', () => {
+        const sections = MarkdownParser.extractSections([
+            '# Guide',
+            '<!-- ai-rules type="always" -->',
+            'Intro',
+            '',
+            '## Testing',
+            '<!-- ai-rules type="manual" -->',
+            'Run tests.',
+            '',
+            '```md',
+            '<!-- ai-rules type="excluded" -->',
+            '```'
+        ].join('\n'));
+        assert.deepEqual(Object.keys(sections), ['Guide']);
+        assert.deepEqual(sections.Guide.config, { type: 'always' });
+        assert.deepEqual(sections.Guide.content, ['Intro']);
+        assert.deepEqual(sections.Guide.lines, { start: 0, end: 10 });
+        const testing = sections.Guide.sections.Testing;
+        assert.deepEqual(testing.config, { type: 'manual' });
+        assert.deepEqual(testing.content, ['Run tests.', '', '```md', '<!-- ai-rules type="excluded" -->', '```']);
+    });
+
+    it('removes only the parsed comment from a paragraph line', () => {
+        const sections = MarkdownParser.extractSections([
+            '# Rules',
+            'Write `<!-- ai-rules type="manual" -->` to hide a rule. <!-- ai-rules description="Docs rules" -->'
+        ].join('\n'));
+        assert.deepEqual(sections.Rules.config, { description: 'Docs rules' });
+        assert.deepEqual(sections.Rules.content, ['Write `<!-- ai-rules type="manual" -->` to hide a rule.']);
+    });
+
+    it('adds subsections of a unifySubsections section to its content', () => {
+        const sections = MarkdownParser.extractSections([
+            '# All',
+            '<!-- ai-rules unifySubsections -->',
+            'Top',
+            '## Part <!-- ai-rules type="manual" -->',
+            'Body'
+        ].join('\n'));
+        assert.deepEqual(sections.All.sections, {});
+        assert.deepEqual(sections.All.config, { unifySubsections: true });
+        assert.deepEqual(sections.All.content, ['Top', '## Part <!-- ai-rules type="manual" -->', 'Body']);
+    });
+
+    it('throws for invalid attributes with their location', () => {
+        assert.throws(
+            () => MarkdownParser.extractSections('# A\n<!-- ai-rules type="never" -->', line => `guide.md:${line + 1}`),
+            /Unknown type "never" .* at guide\.md:2/
+        );
+    });
+
+    it('skips invalid attributes with lenientAttributes', () => {
+        const sections = MarkdownParser.extractSections('# A\n<!-- ai-rules type="never" path="p" -->\nText', undefined, { lenientAttributes: true });
+        assert.deepEqual(sections.A.config, { path: 'p' });
+    });
+});
+
+describe('MarkdownParser conditions', () => {
+    it('parses the values of a condition', () => {
+        assert.deepEqual(MarkdownParser.parseCondition('projectType="react,vue" repo=org/app', 'a.md:1'), {
+            projectType: ['react', 'vue'],
+            repo: ['org/app']
+        });
+    });
+
+    it('rejects empty and unknown conditions', () => {
+        assert.throws(() => MarkdownParser.parseCondition('', 'a.md:1'), /ai-rules-if without condition at a\.md:1/);
+        assert.throws(() => MarkdownParser.parseCondition('branch="main"', 'a.md:1'), /Unknown attribute "branch" .* in ai-rules-if at a\.md:1/);
+    });
+
+    it('keeps the branch matching the context', () => {
+        const content = [
+            'Before',
+            '<!-- ai-rules-if projectType="react" -->',
+            'React',
+            '<!-- ai-rules-else -->',
+            'Other',
+            '<!-- ai-rules-end -->',
+            'After'
+        ].join('\n');
+        assert.equal(MarkdownParser.resolveConditions(content, { projectType: 'react' }), 'Before\nReact\nAfter');
+        assert.equal(MarkdownParser.resolveConditions(content, { projectType: 'vue' }), 'Before\nOther\nAfter');
+    });
+
+    it('keeps conditions on attributes missing from the context', () => {
+        const content = [
+            '<!-- ai-rules-if projectType="react" repo="org/app" -->',
+            'App',
+            '<!-- ai-rules-end -->'
+        ].join('\n');
+        assert.equal(
+            MarkdownParser.resolveConditions(content, { projectType: 'react' }),
+            '<!-- ai-rules-if repo="org/app" -->\nApp\n<!-- ai-rules-end -->'
+        );
+        assert.equal(MarkdownParser.resolveConditions(content, { projectType: 'vue' }), '');
+    });
+
+    it('rejects unbalanced and nested blocks', () => {
+        assert.throws(() => MarkdownParser.findConditionalBlocks('<!-- ai-rules-if repo="a/b" -->\nText'), /has no matching ai-rules-end/);
+        assert.throws(() => MarkdownParser.findConditionalBlocks('<!-- ai-rules-end -->'), /ai-rules-end without ai-rules-if at line 1/);
+        assert.throws(
+            () => MarkdownParser.findConditionalBlocks('<!-- ai-rules-if repo="a/b" -->\n\n<!-- ai-rules-if repo="c/d" -->\n\n<!-- ai-rules-end -->'),
+            /Nested ai-rules-if at line 3/
+        );
+    });
+});
+
+describe('MarkdownParser.shiftHeadings', () => {
+    it('nests included headings below the including section', () => {
+        assert.equal(MarkdownParser.shiftHeadings('# A\nText\n## B', 2, null), '### A\nText\n#### B');
+        assert.equal(MarkdownParser.shiftHeadings('Setext\n---', 2, null), '### Setext');
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PullRequestBody = require('../pullRequestBody');
+
+const manifest = {
+    commit: '3f2c1a9e8d7b6c5a4f3e2d1c0b9a8f7e6d5c4b3a',
+    files: [
+        {
+            path: 'react/.cursor/rules/auth.mdc',
+            rules: [{ name: 'Auth', id: 'auth', type: 'agent_requested', source: 'docs/auth.md:1-20' }]
+        },
+        {
+            path: 'react/AGENTS.md',
+            rules: [
+                { name: 'Style', id: 'style', type: 'always', source: 'docs/guide.md:1-5' },
+                { name: 'Tests', id: 'tests', type: 'always', source: 'docs/guide.md:6-9' }
+            ]
+        },
+        {
+            path: 'vue/.cursor/rules/vue.mdc',
+            rules: [{ name: 'Vue', id: 'vue', type: 'always', source: 'docs/vue.md:1-3' }]
+        }
+    ]
+};
+const report = {
+    basePath: 'web',
+    projectTypes: ['react'],
+    removals: [{ path: 'web/.cursor/rules/old.mdc', projectType: 'react', action: 'deleted', reason: 'section removed from the documentation' }]
+};
+
+describe('PullRequestBody.collect', () => {
+    it('maps the changed files to the rules of the manifest', () => {
+        const result = PullRequestBody.collect([
+            { path: 'web/.cursor/rules/auth.mdc', status: 'added' },
+            { path: 'web/AGENTS.md', status: 'modified' },
+            { path: 'web/.cursor/rules/old.mdc', status: 'deleted' },
+            { path: 'web/notes.md', status: 'added' }
+        ], manifest, report);
+
+        assert.equal(result.commit, manifest.commit);
+        assert.deepEqual(result.changes.map(change => [change.path, change.status, change.projectType, change.type]), [
+            ['web/.cursor/rules/auth.mdc', 'added', 'react', 'agent_requested'],
+            ['web/AGENTS.md', 'modified', 'react', 'always']
+        ]);
+        assert.deepEqual(result.changes[1].rules.map(rule => rule.name), ['Style', 'Tests']);
+        assert.deepEqual(result.removals, report.removals);
+        assert.deepEqual(result.other, [{ path: 'web/notes.md', status: 'added' }]);
+        assert.deepEqual(result.sources, [
+            { file: 'docs/auth.md', rules: ['Auth'] },
+            { file: 'docs/guide.md', rules: ['Style', 'Tests'] }
+        ]);
+    });
+
+    it('ignores project types the repository does not receive', () => {
+        const result = PullRequestBody.collect([{ path: 'web/.cursor/rules/vue.mdc', status: 'added' }], manifest, report);
+        assert.deepEqual(result.changes, []);
+        assert.deepEqual(result.other, [{ path: 'web/.cursor/rules/vue.mdc', status: 'added' }]);
+    });
+});
+
+describe('PullRequestBody.render', () => {
+    const result = PullRequestBody.collect([{ path: 'web/AGENTS.md', status: 'modified' }], manifest, { ...report, removals: [] });
+
+    it('renders the default template without gaps for empty sections', () => {
+        assert.equal(PullRequestBody.render(PullRequestBody.DEFAULT_TEMPLATE, result, { docsRepoUrl: 'https://github.com/org/docs/' }), [
+            '**0 rule files added, 1 updated, 0 deleted** from [org/docs@3f2c1a9](https://github.com/org/docs/tree/3f2c1a9e8d7b6c5a4f3e2d1c0b9a8f7e6d5c4b3a).',
+            '',
+            '### Rule changes',
+            '',
+            '#### `react`',
+            '',
+            '**always**',
+            '- Updated `web/AGENTS.md`: Style, Tests',
+            '',
+            '### Source documentation',
+            '',
+            '- `docs/guide.md`: Style, Tests'
+        ].join('\n'));
+    });
+
+    it('keeps the blank lines of the pr-body input and of template code', () => {
+        const template = 'Synced to {{repo}}.\n\n```\n{{cleanup}}\n\n\n\nend\n```\n\n{{body}}\n\n{{cleanup}}\n\nBye';
+        assert.equal(
+            PullRequestBody.render(template, result, { body: 'First\n\n\n\nSecond', repo: 'org/web' }),
+            'Synced to org/web.\n\n```\n{{cleanup}}\n\n\n\nend\n```\n\nFirst\n\n\n\nSecond\n\nBye'
+        );
+    });
+
+    it('drops whole lines of the changes list when the body is too long', () => {
+        const files = Array.from({ length: 2000 }, (_, index) => ({ path: `rules/rule_${String(index).padStart(4, '0')}.mdc`, status: 'added' }));
+        const many = PullRequestBody.collect(files, {
+            files: files.map(file => ({ path: `react/${file.path}`, rules: [{ name: `Rule ${file.path}`, type: 'always', source: 'docs/many.md:1-2' }] }))
+        }, { projectTypes: ['react'], removals: [] });
+
+        const body = PullRequestBody.render(PullRequestBody.DEFAULT_TEMPLATE, many);
+        const lines = body.split('\n');
+        assert.ok(body.length <= PullRequestBody.MAX_BODY_LENGTH, `${body.length} characters`);
+        assert.ok(lines.every(line => !line.startsWith('- Added') || /^- Added `rules\/rule_\d{4}\.mdc`: Rule rules\/rule_\d{4}\.mdc$/.test(line)));
+        assert.ok(lines.includes('- … (truncated, see the diff for the remaining changes)'));
+        assert.equal(lines[lines.length - 1], '- `docs/many.md`: Rule rules/rule_0000.mdc, Rule rules/rule_0001.mdc, Rule rules/rule_0002.mdc, Rule rules/rule_0003.mdc, Rule rules/rule_0004.mdc, Rule rules/rule_0005.mdc, Rule rules/rule_0006.mdc, Rule rules/rule_0007.mdc and 1992 more');
+    });
+
+    it('truncates a long pr-body input by whole lines', () => {
+        const body = PullRequestBody.render('{{body}}', result, { body: Array.from({ length: 10000 }, (_, index) => `Line ${index}`).join('\n') });
+        assert.ok(body.length <= PullRequestBody.MAX_BODY_LENGTH);
+        assert.match(body, /\nLine \d+\n\n… \(truncated, see the diff for the remaining changes\)$/);
+    });
+});
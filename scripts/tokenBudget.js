@@ -0,0 +1,117 @@
+const MarkdownParser = require('./markdownParser');
+
+// Rough average for English text and code; real tokenizers vary by model
+const CHARS_PER_TOKEN = 4;
+const BUDGET_ACTIONS = ['warn', 'error'];
+
+/**
+ * Estimates how much context the generated rules take and checks them against the
+ * configured budgets: `maxRuleTokens` for every rule, `maxAlwaysTokens` for the rules
+ * always applied in a target repository (overridable per branch strategy).
+ */
+class TokenBudget {
+    /**
+     * Estimated number of tokens of a text
+     * @param {string} text - Text
+     * @returns {number} Token estimate
+     */
+    static estimateTokens(text) {
+        return Math.ceil(text.length / CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Token estimate of every rule for every project type it is generated for
+     * @param {Array} rules - Rule hierarchy from RuleGenerator.generateRules
+     * @returns {Array} Array of { projectType, name, path, type, tokens }
+     */
+    static estimateRules(rules) {
+        const estimates = [];
+        const visit = (rule) => {
+            const { type, path, projectTypes = [] } = rule.effectiveConfig;
+            if (type === 'excluded') {
+                return;
+            }
+            projectTypes.forEach(projectType => {
+                // Table of contents entries are rendered when written
+                const text = rule.tocEntries
+                    ? rule.tocEntries.map(entry => `- ${entry.name}: ${entry.effectiveConfig.description || ''}`).join('\n')
+                    : MarkdownParser.resolveConditions((rule.content || []).join('\n'), { projectType });
+                estimates.push({ projectType, name: rule.name, path, type, tokens: this.estimateTokens(text) });
+            });
+            Object.values(rule.sections || {}).forEach(visit);
+        };
+        rules.forEach(visit);
+        return estimates;
+    }
+
+    /**
+     * Log the token estimates per project type and target repository, split by always-applied
+     * and on-demand rules, and check them against the budgets
+     * @param {Array} rules - Rule hierarchy from RuleGenerator.generateRules
+     * @param {object} config - Generation config (exports, maxRuleTokens, maxAlwaysTokens, tokenBudgetAction)
+     * @param {BranchStrategyHandler} strategyHandler - Resolves per-repo maxAlwaysTokens overrides
+     * @returns {object} { projectTypes, repos, violations }
+     * @throws {Error} If a budget is exceeded and tokenBudgetAction is 'error'
+     */
+    static check(rules, config, strategyHandler) {
+        const action = config.tokenBudgetAction || 'warn';
+        if (!BUDGET_ACTIONS.includes(action)) {
+            throw new Error(`[ERROR] ❗ Invalid tokenBudgetAction: ${action}. Must be one of: ${BUDGET_ACTIONS.join(', ')}`);
+        }
+
+        const estimates = this.estimateRules(rules);
+        const violations = [];
+
+        if (config.maxRuleTokens) {
+            estimates
+                .filter(estimate => estimate.tokens > config.maxRuleTokens)
+                .forEach(estimate => violations.push(
+                    `Rule "${estimate.name}" (${estimate.projectType}${estimate.path ? `, ${estimate.path}` : ''}) has ~${estimate.tokens} tokens, more than maxRuleTokens (${config.maxRuleTokens})`
+                ));
+        }
+
+        const sumTokens = (projectTypes) => {
+            const selected = estimates.filter(estimate => projectTypes.includes(estimate.projectType));
+            const always = selected.filter(estimate => estimate.type === 'always');
+            const onDemand = selected.filter(estimate => estimate.type !== 'always');
+            return {
+                alwaysTokens: always.reduce((sum, estimate) => sum + estimate.tokens, 0),
+                alwaysRules: always.length,
+                onDemandTokens: onDemand.reduce((sum, estimate) => sum + estimate.tokens, 0),
+                onDemandRules: onDemand.length
+            };
+        };
+        const formatTotals = (totals) =>
+            `~${totals.alwaysTokens} always (${totals.alwaysRules} rules), ~${totals.onDemandTokens} on demand (${totals.onDemandRules} rules)`;
+
+        console.log(`Token estimates (~${CHARS_PER_TOKEN} characters per token):`);
+        const projectTypes = {};
+        Array.from(new Set(estimates.map(estimate => estimate.projectType))).sort().forEach(projectType => {
+            projectTypes[projectType] = sumTokens([projectType]);
+            console.log(`- ${projectType}: ${formatTotals(projectTypes[projectType])}`);
+        });
+
+        const repos = {};
+        Object.entries(config.exports || {}).forEach(([repo, repoProjectTypes]) => {
+            const totals = sumTokens(repoProjectTypes || []);
+            const maxAlwaysTokens = strategyHandler
+                ? strategyHandler.getStrategyForRepo(repo).maxAlwaysTokens
+                : config.maxAlwaysTokens;
+            repos[repo] = { ...totals, maxAlwaysTokens: maxAlwaysTokens || null };
+            console.log(`- ${repo} (${(repoProjectTypes || []).join(', ')}): ${formatTotals(totals)}${maxAlwaysTokens ? `, budget ${maxAlwaysTokens}` : ''}`);
+
+            if (maxAlwaysTokens && totals.alwaysTokens > maxAlwaysTokens) {
+                violations.push(`Always-applied rules of ${repo} have ~${totals.alwaysTokens} tokens, more than maxAlwaysTokens (${maxAlwaysTokens})`);
+            }
+        });
+
+        if (violations.length > 0 && action === 'error') {
+            throw new Error(`[ERROR] ❗ Token budget exceeded:\n${violations.map(violation => `  - ${violation}`).join('\n')}`);
+        }
+        violations.forEach(violation => console.warn(`[WARNING] ⚠️ ${violation}`));
+
+        return { projectTypes, repos, violations };
+    }
+}
+
+module.exports = TokenBudget;
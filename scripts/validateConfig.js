@@ -0,0 +1,21 @@
+const ConfigLoader = require('./configLoader');
+
+/**
+ * Usage: node validateConfig.js [config path]
+ * Checks ai-rules-config.yml against ai-rules-config.schema.json, exits with 1 when invalid.
+ */
+function main() {
+    const [configPath = '.github/ai-rules-config.yml'] = process.argv.slice(2);
+
+    try {
+        const config = ConfigLoader.load(configPath);
+        const repos = Object.keys(config.exports);
+        console.log(`Config is valid: ${configPath}`);
+        console.log(`- ${repos.length} target repositories, ${config.branchStrategy.length} branch strategies`);
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,88 @@
+const MarkdownParser = require('./markdownParser');
+
+// `{{name}}` placeholder, `\{{name}}` keeps the placeholder text as is
+const VARIABLE_PATTERN = /(\\)?\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+// Inline code span: a backtick run, then anything up to the same run
+const INLINE_CODE_PATTERN = /(`+)(?!`)[^\n]*?[^`\n]\1(?!`)/g;
+const FRONTMATTER_PATTERN = /^---\r?\n[\s\S]*?\r?\n---\r?\n/;
+
+class VariableHandler {
+    /**
+     * Replace `{{name}}` placeholders with variable values. Fenced, indented and inline code is
+     * left as is, so rules documenting template syntax (Jinja, GitHub Actions expressions) keep it.
+     * @param {string} content - Rule file content
+     * @param {object} variables - Variable names to values
+     * @param {object} options - { strict (fail on undefined variables), source (file name for messages) }
+     * @returns {string} Content with placeholders replaced
+     */
+    static substitute(content, variables = {}, options = {}) {
+        const { strict = false, source = '' } = options;
+        const undefinedNames = new Set();
+
+        const replace = text => text.replace(VARIABLE_PATTERN, (match, escape, name) => {
+            if (escape) {
+                return match.slice(1);
+            }
+            if (Object.prototype.hasOwnProperty.call(variables, name)) {
+                return String(variables[name]);
+            }
+            undefinedNames.add(name);
+            return match;
+        });
+
+        // Frontmatter is YAML, not markdown: only the body is checked for code
+        const frontmatter = content.match(FRONTMATTER_PATTERN);
+        const bodyStart = frontmatter ? frontmatter[0].split('\n').length - 1 : 0;
+        const { codeLines } = MarkdownParser.classifyLines(content.split('\n').slice(bodyStart).join('\n'));
+        const result = content
+            .split('\n')
+            .map((line, index) => (codeLines.has(index - bodyStart) ? line : this.replaceOutsideInlineCode(line, replace)))
+            .join('\n');
+
+        if (undefinedNames.size > 0) {
+            const message = `Undefined variables in ${source}: ${Array.from(undefinedNames).join(', ')}`;
+            if (strict) {
+                throw new Error(`[ERROR] ❗ ${message} (strictVariables is enabled)`);
+            }
+            console.warn(`[WARNING] ⚠️ ${message} (left as is)`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Apply a replacement to the parts of a line outside inline code spans
+     * @param {string} line - Line of markdown
+     * @param {Function} replace - Replacement of a text part
+     * @returns {string} Line with the text parts replaced
+     */
+    static replaceOutsideInlineCode(line, replace) {
+        let result = '';
+        let last = 0;
+        for (const match of line.matchAll(INLINE_CODE_PATTERN)) {
+            result += replace(line.slice(last, match.index)) + match[0];
+            last = match.index + match[0].length;
+        }
+        return result + replace(line.slice(last));
+    }
+
+    /**
+     * Check that variables are a map of names to strings, numbers or booleans
+     * @param {object} variables - Variables to validate
+     * @throws {Error} If the variables are invalid
+     */
+    static validateVariables(variables) {
+        if (typeof variables !== 'object' || variables === null || Array.isArray(variables)) {
+            throw new Error(`[WARNING] ⚠️ variables must be a map of names to values, got: ${JSON.stringify(variables)}`);
+        }
+
+        const invalidNames = Object.entries(variables)
+            .filter(([name, value]) => !/^[A-Za-z_][\w.-]*$/.test(name) || !['string', 'number', 'boolean'].includes(typeof value))
+            .map(([name]) => name);
+        if (invalidNames.length > 0) {
+            throw new Error(`[WARNING] ⚠️ Invalid variables: ${invalidNames.join(', ')}. Names must be identifiers and values strings, numbers or booleans`);
+        }
+    }
+}
+
+module.exports = VariableHandler;
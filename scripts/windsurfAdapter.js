@@ -0,0 +1,34 @@
+const OutputAdapter = require('./outputAdapter');
+
+// Mapping from our rule types to Windsurf activation triggers
+const WINDSURF_TRIGGERS = {
+    always: 'always_on',
+    auto_attached: 'glob',
+    agent_requested: 'model_decision',
+    manual: 'manual'
+};
+
+// `.windsurf/rules/**/*.md` with Windsurf trigger frontmatter
+class WindsurfAdapter extends OutputAdapter {
+    constructor() {
+        super({ name: 'windsurf', rootDir: '.windsurf', rulesDir: 'rules', extension: '.md' });
+    }
+
+    buildFrontmatter(rule) {
+        const frontmatter = super.buildFrontmatter(rule);
+        frontmatter.trigger = WINDSURF_TRIGGERS[rule.effectiveConfig.type] || WINDSURF_TRIGGERS.manual;
+
+        switch(rule.effectiveConfig.type) {
+            case 'auto_attached':
+                frontmatter.globs = rule.effectiveConfig.globs || '';
+                break;
+            case 'agent_requested':
+                frontmatter.description = rule.description;
+                break;
+        }
+
+        return frontmatter;
+    }
+}
+
+module.exports = WindsurfAdapter;
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const ConfigLoader = require('./configLoader');
+const LinkResolver = require('./linkResolver');
+const PullRequestBody = require('./pullRequestBody');
+const SyncPlan = require('./syncPlan');
+
+/**
+ * Usage: node writePrBody.js <repo> <config path> <rules dir> <checkout dir> --report <sync report> --output <file>
+ *                            [--template <file>] [--body <text>] [--branch <name>] [--target-branch <name>]
+ * Used by entrypoint.sh before committing: the changes of the checkout (staged by this script), the
+ * ai_rules.json manifest of the rules dir and the sync report of copyRulesToRepo.js become the body
+ * of the pull request.
+ */
+function parseArgs(args) {
+    const options = { positional: [], report: null, output: null, template: null, body: '', branch: '', targetBranch: '' };
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--report': options.report = args[++i]; break;
+            case '--output': options.output = args[++i]; break;
+            case '--template': options.template = args[++i]; break;
+            case '--body': options.body = args[++i]; break;
+            case '--branch': options.branch = args[++i]; break;
+            case '--target-branch': options.targetBranch = args[++i]; break;
+            default:
+                if (args[i].startsWith('--')) {
+                    throw new Error(`[ERROR] ❗ Unknown option: ${args[i]}`);
+                }
+                options.positional.push(args[i]);
+        }
+    }
+    if (options.positional.length !== 4 || !options.report || !options.output) {
+        throw new Error('[ERROR] ❗ Usage: node writePrBody.js <repo> <config path> <rules dir> <checkout dir> --report <sync report> --output <file>');
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const [repo, configPath, rulesDir, repoDir] = options.positional;
+    const config = ConfigLoader.load(configPath);
+    const manifest = JSON.parse(fs.readFileSync(path.join(rulesDir, 'ai_rules.json'), 'utf8'));
+    const report = JSON.parse(fs.readFileSync(options.report, 'utf8'));
+
+    const result = PullRequestBody.collect(SyncPlan.readChanges(repoDir), manifest, report);
+    const docsRepoUrl = LinkResolver.getDocsRepoUrl(config);
+    const body = PullRequestBody.render(PullRequestBody.loadTemplate(options.template), result, {
+        body: options.body,
+        repo,
+        branch: options.branch,
+        targetBranch: options.targetBranch,
+        docsRepoUrl,
+        // Links to the documentation files need both the repository and the commit
+        linkResolver: docsRepoUrl && result.commit ? new LinkResolver({ repoUrl: docsRepoUrl, ref: result.commit }) : null
+    });
+
+    fs.writeFileSync(options.output, body + '\n');
+    console.log(`Pull request body for ${repo}: ${PullRequestBody.formatSummary(result)}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}